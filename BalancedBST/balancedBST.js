@@ -2,54 +2,107 @@
  * Implement self-balancing BST with comprehensive operations
  * 
  * Features:
- * - Add automatic rebalancing after insert/delete operations
+ * - AVL rebalancing with rotations after insert/delete operations (O(log n))
  * - Implement all tree traversal methods (inorder, preorder, postorder, level-order)
- * - Add tree height calculation and balance checking
+ *   as lazy, iterative generators that support early exit
+ * - Stored node heights make height() and isBalanced() O(1)
  * - Includes robust error handling and input validation
+ * - Supports custom comparators for ordering strings, dates and objects
+ * - Size-augmented nodes for order-statistic and range queries
+ * - TreeMap (sorted key -> value dictionary) and TreeMultiset (occurrence
+ *   counts per value) built on the same Node/Tree machinery
+ * - JSON and compact preorder serialization, Graphviz DOT export and text rendering
+ * - Set algebra (union, intersection, difference) and split/join built on
+ *   AVL join; results share unchanged subtrees with their inputs
+ * - PersistentTree (and PersistentTreeMap, PersistentTreeMultiset,
+ *   PersistentIntervalTree): immutable versions that share unchanged nodes,
+ *   plus O(1) snapshot() of any mutable tree into its persistent variant
+ * - Bulk loading from any iterable plus batch insertMany/deleteMany/clear
+ * - IntervalTree: intervals augmented with subtree max endpoints for
+ *   overlap and stabbing queries
  * 
  */
 
+/**
+ * Default comparator using natural ordering (numbers, strings, dates)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function defaultCompare(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
 /**
  * Represents a node in the binary search tree
+ * Nodes may be shared between trees; a tree only mutates nodes it owns and
+ * copies any other node before changing it (see Tree._writable)
  */
 class Node {
-  constructor(value) {
+  constructor(value, owner = null) {
     this.value = value;
+    this.owner = owner; // Token of the tree allowed to mutate this node
     this.left = null;
     this.right = null;
+    this.height = 0; // Height of the subtree rooted at this node (leaf = 0)
+    this.size = 1; // Number of values (counting occurrences) in this subtree
+    this.count = 1; // Occurrences of value (TreeMultiset)
+    this.data = undefined; // Value associated with the key (TreeMap)
+    this.max = undefined; // Largest interval end in this subtree (IntervalTree)
   }
 }
 
 /**
- * Self-balancing Binary Search Tree implementation
- * Automatically rebalances after insertions and deletions to maintain optimal performance
+ * Self-balancing Binary Search Tree implementation (AVL tree)
+ * Rotates nodes on the insert/delete path so sibling subtree heights never
+ * differ by more than one
  */
 class Tree {
   /**
-   * Creates a balanced BST from an array of values
-   * @param {Array} arr - Array of values to build the tree from
-   * @throws {Error} If input is not an array or is empty
+   * Creates a balanced BST from any iterable of values
+   * The input is copied, never sorted or modified in place
+   * @param {Iterable} [iterable=[]] - Values to build the tree from
+   * @param {Object} [options] - Tree options
+   * @param {Function} [options.compare] - Comparator returning a negative
+   *   number, zero or a positive number (defaults to natural ordering)
+   * @throws {Error} If input is not iterable, or compare is not a function
+   * @example
+   * const empty = new Tree();
+   * const byId = new Tree(records, { compare: (a, b) => a.id - b.id });
    */
-  constructor(arr) {
-    if (!Array.isArray(arr)) {
-      throw new Error("Input must be an array");
+  constructor(iterable = [], options = {}) {
+    if (!this._isIterable(iterable)) {
+      throw new Error("Input must be iterable");
     }
-    if (arr.length === 0) {
-      throw new Error(
-        "Empty array! At least one element is required for initialization."
-      );
+    const { compare = defaultCompare } = options;
+    if (!this._isFunction(compare)) {
+      throw new Error("Comparator must be a function");
     }
-    this._root = this._buildTree(arr);
+    this._compare = compare;
+    this._owner = {}; // Identity token stamped on nodes this tree may mutate
+    this._version = 0; // Number of mutations applied since construction
+    this._root = this._buildTree(Array.from(iterable));
+  }
+
+  /**
+   * Checks if a value can be iterated with for...of
+   * @param {*} value - Value to check
+   * @returns {boolean} True if value is iterable
+   */
+  _isIterable(value) {
+    return value != null && this._isFunction(value[Symbol.iterator]);
   }
 
   /**
    * Builds a balanced BST from an array by sorting and removing duplicates
-   * @param {Array} arr - Input array of values
-   * @returns {Node} Root node of the constructed tree
+   * @param {Array} arr - Input array of values (a private copy, sorted in place)
+   * @returns {Node|null} Root node of the constructed tree
    */
   _buildTree(arr) {
     // Sort array in ascending order
-    let sortedArray = arr.sort((a, b) => a - b);
+    let sortedArray = arr.sort(this._compare);
     // Remove duplicate values to ensure BST property
     arr = this._removeDuplicates(sortedArray);
 
@@ -58,11 +111,14 @@ class Tree {
 
   /**
    * Removes duplicate values from a sorted array
-   * @param {Array} nums - Sorted array of numbers
+   * Values the comparator considers equal are treated as duplicates
+   * @param {Array} nums - Sorted array of values
    * @returns {Array} Array with duplicates removed
    */
   _removeDuplicates(nums) {
-    return nums.filter((num, idx) => idx === 0 || num !== nums[idx - 1]);
+    return nums.filter(
+      (num, idx) => idx === 0 || this._compare(num, nums[idx - 1]) !== 0
+    );
   }
 
   /**
@@ -70,105 +126,304 @@ class Tree {
    * @param {Array} arr - Sorted array of unique values
    * @param {number} start - Start index of current subarray
    * @param {number} end - End index of current subarray
+   * @param {Array} [payloads] - Per-value payloads handed to _createNode
    * @returns {Node|null} Root node of the subtree
    */
-  _buildBST(arr, start, end) {
+  _buildBST(arr, start, end, payloads) {
     // Base case: invalid range
     if (start > end) return null;
 
     // Find middle element to maintain balance
     const mid = Math.floor(start + (end - start) / 2);
-    const node = new Node(arr[mid]);
+    const node = this._createNode(arr[mid], payloads && payloads[mid]);
 
     // Recursively build left and right subtrees
-    node.left = this._buildBST(arr, start, mid - 1);
-    node.right = this._buildBST(arr, mid + 1, end);
+    node.left = this._buildBST(arr, start, mid - 1, payloads);
+    node.right = this._buildBST(arr, mid + 1, end, payloads);
 
-    return node;
+    return this._update(node);
   }
 
   /**
    * Pretty prints the tree structure to console
-   * @param {Node} node - Current node being printed
+   * @param {Node} node - Root of the subtree to print (defaults to root)
+   */
+  _prettyPrint(node = this._root) {
+    const text = this.render(node);
+    if (text !== "") console.log(text);
+  }
+
+  /**
+   * Renders the tree as a box-drawing diagram, right subtree on top
+   * @param {Node} node - Root of the subtree to render (defaults to root)
+   * @returns {string} Diagram with one node per line ("" for an empty tree)
+   * @example
+   * tree.render();
+   * // │   ┌── 3
+   * // └── 2
+   * //     └── 1
+   */
+  render(node = this._root) {
+    const lines = [];
+    this._renderLines(node, "", true, lines);
+    return lines.join("\n");
+  }
+
+  /**
+   * Recursively collects the diagram lines for a subtree
+   * @param {Node|null} node - Current node being rendered
    * @param {string} prefix - Prefix string for formatting
    * @param {boolean} isLeft - Whether current node is a left child
+   * @param {Array<string>} lines - Accumulator for output lines
    */
-  _prettyPrint(node, prefix = "", isLeft = true) {
+  _renderLines(node, prefix, isLeft, lines) {
     if (node === null) {
       return;
     }
-    // Print right subtree first (top-down visual)
+    // Render right subtree first (top-down visual)
     if (node.right !== null) {
-      this._prettyPrint(
+      this._renderLines(
         node.right,
         `${prefix}${isLeft ? "│   " : "    "}`,
-        false
+        false,
+        lines
       );
     }
-    // Print current node with appropriate connector
-    console.log(`${prefix}${isLeft ? "└── " : "┌── "}${node.value}`);
-    // Print left subtree
+    // Render current node with appropriate connector
+    lines.push(`${prefix}${isLeft ? "└── " : "┌── "}${node.value}`);
+    // Render left subtree
     if (node.left !== null) {
-      this._prettyPrint(
+      this._renderLines(
         node.left,
         `${prefix}${isLeft ? "    " : "│   "}`,
-        true
+        true,
+        lines
       );
     }
   }
 
   /**
-   * Inserts a value into the tree and rebalances if necessary
+   * Inserts a value into the tree, rotating nodes to keep it balanced
+   * Time complexity: O(log n)
    * @param {*} value - Value to insert
    */
   insert(value) {
     this._root = this._insertItem(this._root, value);
-
-    // Automatically rebalance if tree becomes unbalanced
-    if (!this.isBalanced()) {
-      this._rebalance();
-    }
+    this._version++;
   }
 
   /**
-   * Recursively inserts a value into the BST
+   * Recursively inserts a value into the BST and rebalances the path back up
    * @param {Node|null} node - Current node
    * @param {*} value - Value to insert
+   * @param {*} [payload] - Extra data handed to _createNode/_onDuplicate
    * @returns {Node} Updated node
    */
-  _insertItem(node, value) {
+  _insertItem(node, value, payload) {
     // Base case: create new node
     if (node === null) {
-      return new Node(value);
+      return this._createNode(value, payload);
     }
 
-    // Duplicate values are ignored
-    if (value === node.value) {
-      return node;
-    } else if (value < node.value) {
-      node.left = this._insertItem(node.left, value);
+    const cmp = this._compare(value, node.value);
+
+    if (cmp === 0) {
+      return this._onDuplicate(node, payload);
+    }
+
+    node = this._writable(node);
+    if (cmp < 0) {
+      node.left = this._insertItem(node.left, value, payload);
     } else {
-      node.right = this._insertItem(node.right, value);
+      node.right = this._insertItem(node.right, value, payload);
     }
 
+    return this._balance(node);
+  }
+
+  /**
+   * Creates the node stored for a newly inserted value
+   * Subclasses override this to attach their payload
+   * @param {*} value - Value to store
+   * @param {*} [payload] - Extra data passed to insert
+   * @returns {Node} New node
+   */
+  _createNode(value, payload) {
+    return this._update(new Node(value, this._owner));
+  }
+
+  /**
+   * Handles inserting a value that is already in the tree
+   * Duplicate values are ignored; subclasses override this to merge payloads
+   * @param {Node} node - Node already holding the value
+   * @param {*} [payload] - Extra data passed to insert
+   * @returns {Node} Updated node
+   */
+  _onDuplicate(node, payload) {
     return node;
   }
 
   /**
-   * Deletes a value from the tree and rebalances if necessary
+   * Deletes a value from the tree, rotating nodes to keep it balanced
+   * Time complexity: O(log n)
    * @param {*} value - Value to delete
    */
   deleteItem(value) {
     this._root = this._deleteItem(this._root, value);
+    this._version++;
+  }
+
+  /**
+   * Inserts every value from an iterable as a single batch
+   * Small batches are inserted one by one (O(k log n)); large ones are merged
+   * with the existing nodes and relinked in one O(n + k log k) rebuild
+   * @param {Iterable} iterable - Values to insert
+   * @throws {Error} If input is not iterable
+   */
+  insertMany(iterable) {
+    this._root = this._insertMany(iterable);
+    this._version++;
+  }
+
+  /**
+   * Computes the root after inserting a batch of values
+   * @param {Iterable} iterable - Values to insert
+   * @returns {Node|null} New root
+   */
+  _insertMany(iterable) {
+    const batch = this._sortedBatch(iterable);
+    let root = this._root;
+
+    if (this._isSmallBatch(batch.length)) {
+      for (const value of batch) {
+        root = this._insertItem(root, value);
+      }
+      return root;
+    }
+
+    // Merge the sorted batch with the existing nodes in a single pass
+    const nodes = [];
+    const append = (value) => {
+      const last = nodes[nodes.length - 1];
+      if (last !== undefined && this._compare(last.value, value) === 0) {
+        nodes[nodes.length - 1] = this._onDuplicate(last);
+      } else {
+        nodes.push(this._createNode(value));
+      }
+    };
+
+    let i = 0;
+    for (const node of this.inOrder()) {
+      while (i < batch.length && this._compare(batch[i], node.value) < 0) {
+        append(batch[i++]);
+      }
+      nodes.push(node);
+      while (i < batch.length && this._compare(batch[i], node.value) === 0) {
+        append(batch[i++]);
+      }
+    }
+    while (i < batch.length) {
+      append(batch[i++]);
+    }
+
+    return this._linkBalanced(nodes, 0, nodes.length - 1);
+  }
+
+  /**
+   * Deletes every value from an iterable as a single batch
+   * Small batches are deleted one by one (O(k log n)); large ones filter the
+   * existing nodes and relink the survivors in one O(n + k log k) rebuild
+   * @param {Iterable} iterable - Values to delete
+   * @throws {Error} If input is not iterable
+   */
+  deleteMany(iterable) {
+    this._root = this._deleteMany(iterable);
+    this._version++;
+  }
+
+  /**
+   * Computes the root after deleting a batch of values
+   * @param {Iterable} iterable - Values to delete
+   * @returns {Node|null} New root
+   */
+  _deleteMany(iterable) {
+    const batch = this._sortedBatch(iterable);
+    let root = this._root;
+
+    if (this._isSmallBatch(batch.length)) {
+      for (const value of batch) {
+        root = this._deleteItem(root, value);
+      }
+      return root;
+    }
+
+    // Keep the nodes the sorted batch does not mention
+    const nodes = [];
+    let i = 0;
+    for (const node of this.inOrder()) {
+      while (i < batch.length && this._compare(batch[i], node.value) < 0) {
+        i++;
+      }
+      if (i === batch.length || this._compare(batch[i], node.value) !== 0) {
+        nodes.push(node);
+      }
+    }
+
+    return this._linkBalanced(nodes, 0, nodes.length - 1);
+  }
 
-    // Automatically rebalance if tree becomes unbalanced
-    if (!this.isBalanced()) {
-      this._rebalance();
+  /**
+   * Removes all values from the tree
+   */
+  clear() {
+    this._root = null;
+    this._version++;
+  }
+
+  /**
+   * Copies an iterable into a sorted array
+   * Duplicates are kept so each one is applied like a separate insert
+   * @param {Iterable} iterable - Batch of values
+   * @returns {Array} Sorted values
+   * @throws {Error} If input is not iterable
+   */
+  _sortedBatch(iterable) {
+    if (!this._isIterable(iterable)) {
+      throw new Error("Input must be iterable");
     }
+    return Array.from(iterable).sort(this._compare);
+  }
+
+  /**
+   * Decides whether one-by-one updates beat a full rebuild for a batch
+   * @param {number} k - Batch size
+   * @returns {boolean} True if k updates of O(log n) cost less than O(n + k)
+   */
+  _isSmallBatch(k) {
+    const n = this.count();
+    return k * Math.log2(n + k + 1) < n + k;
+  }
+
+  /**
+   * Relinks an ordered array of nodes into a balanced subtree
+   * @param {Array<Node>} nodes - Nodes in ascending order
+   * @param {number} start - Start index of current subarray
+   * @param {number} end - End index of current subarray
+   * @returns {Node|null} Root node of the subtree
+   */
+  _linkBalanced(nodes, start, end) {
+    if (start > end) return null;
+
+    const mid = Math.floor(start + (end - start) / 2);
+    const node = this._writable(nodes[mid]);
+    node.left = this._linkBalanced(nodes, start, mid - 1);
+    node.right = this._linkBalanced(nodes, mid + 1, end);
+
+    return this._update(node);
   }
 
   /**
-   * Recursively deletes a value from the BST
+   * Recursively deletes a value from the BST and rebalances the path back up
    * @param {Node|null} node - Current node
    * @param {*} value - Value to delete
    * @returns {Node|null} Updated node
@@ -176,7 +431,9 @@ class Tree {
   _deleteItem(node, value) {
     if (node === null) return node;
 
-    if (value === node.value) {
+    const cmp = this._compare(value, node.value);
+
+    if (cmp === 0) {
       // Case 1: Node has no left child (0 or 1 child)
       if (node.left === null) {
         return node.right;
@@ -186,17 +443,24 @@ class Tree {
         return node.left;
       }
       // Case 3: Node has both children
-      // Replace with inorder successor (smallest value in right subtree)
-      const successor = this._getSuccessor(node);
-      node.value = successor.value;
-      node.right = this._deleteItem(node.right, successor.value);
-    } else if (value < node.value) {
+      // Replace with inorder successor (smallest node in right subtree).
+      // The successor is relinked rather than having its value copied into
+      // this node, so no node ever changes value. A node returned by find()
+      // may still be replaced by a copy if the tree shares it with a
+      // snapshot, and then no longer sees this tree's changes.
+      const successor = this._writable(this._getSuccessor(node));
+      successor.right = this._deleteMin(node.right);
+      successor.left = node.left;
+      node = successor;
+    } else if (cmp < 0) {
+      node = this._writable(node);
       node.left = this._deleteItem(node.left, value);
     } else {
+      node = this._writable(node);
       node.right = this._deleteItem(node.right, value);
     }
 
-    return node;
+    return this._balance(node);
   }
 
   /**
@@ -213,6 +477,124 @@ class Tree {
     return curr;
   }
 
+  /**
+   * Unlinks the leftmost node of a subtree and rebalances the path back up
+   * @param {Node} node - Root of subtree
+   * @returns {Node|null} Updated subtree root
+   */
+  _deleteMin(node) {
+    if (node.left === null) return node.right;
+
+    node = this._writable(node);
+    node.left = this._deleteMin(node.left);
+    return this._balance(node);
+  }
+
+  /**
+   * Returns a node this tree may mutate: the node itself if this tree owns
+   * it, otherwise a copy stamped with this tree's owner token
+   * @param {Node} node - Node about to be changed
+   * @returns {Node} Mutable node
+   */
+  _writable(node) {
+    if (node.owner === this._owner) return node;
+
+    const copy = new Node(node.value, this._owner);
+    copy.left = node.left;
+    copy.right = node.right;
+    copy.height = node.height;
+    copy.size = node.size;
+    copy.count = node.count;
+    copy.data = node.data;
+    copy.max = node.max;
+    return copy;
+  }
+
+  /**
+   * Gives up ownership of every current node so they can be shared safely
+   * Later writes copy the nodes they touch instead of mutating them in place
+   * @returns {Node|null} The root, now safe to share with another tree
+   */
+  _share() {
+    this._owner = {};
+    return this._root;
+  }
+
+  /**
+   * Recomputes the cached height and size of a node from its children
+   * @param {Node} node - Node to update
+   * @returns {Node} The same node
+   */
+  _update(node) {
+    node.height =
+      Math.max(this._height(node.left), this._height(node.right)) + 1;
+    node.size = this._size(node.left) + this._size(node.right) + node.count;
+    return node;
+  }
+
+  /**
+   * Difference between left and right subtree heights
+   * @param {Node} node - Node to inspect
+   * @returns {number} Positive when left-heavy, negative when right-heavy
+   */
+  _balanceFactor(node) {
+    return this._height(node.left) - this._height(node.right);
+  }
+
+  /**
+   * Rotates a subtree to the left, promoting its right child
+   * @param {Node} node - Root of subtree
+   * @returns {Node} New subtree root
+   */
+  _rotateLeft(node) {
+    node = this._writable(node);
+    const pivot = this._writable(node.right);
+    node.right = pivot.left;
+    pivot.left = this._update(node);
+    return this._update(pivot);
+  }
+
+  /**
+   * Rotates a subtree to the right, promoting its left child
+   * @param {Node} node - Root of subtree
+   * @returns {Node} New subtree root
+   */
+  _rotateRight(node) {
+    node = this._writable(node);
+    const pivot = this._writable(node.left);
+    node.left = pivot.right;
+    pivot.right = this._update(node);
+    return this._update(pivot);
+  }
+
+  /**
+   * Restores the AVL invariant at a node whose children are balanced
+   * Handles the left-left, left-right, right-right and right-left cases
+   * @param {Node} node - Node to rebalance (must be writable)
+   * @returns {Node} New subtree root
+   */
+  _balance(node) {
+    this._update(node);
+    const balance = this._balanceFactor(node);
+
+    if (balance > 1) {
+      // Left-right case: straighten the left child first
+      if (this._balanceFactor(node.left) < 0) {
+        node.left = this._rotateLeft(node.left);
+      }
+      return this._rotateRight(node);
+    }
+    if (balance < -1) {
+      // Right-left case: straighten the right child first
+      if (this._balanceFactor(node.right) > 0) {
+        node.right = this._rotateRight(node.right);
+      }
+      return this._rotateLeft(node);
+    }
+
+    return node;
+  }
+
   /**
    * Searches for a value in the tree
    * @param {*} value - Value to search for
@@ -231,9 +613,11 @@ class Tree {
   _find(node, value) {
     if (node === null) return null;
 
-    if (value === node.value) {
+    const cmp = this._compare(value, node.value);
+
+    if (cmp === 0) {
       return node;
-    } else if (value < node.value) {
+    } else if (cmp < 0) {
       return this._find(node.left, value);
     } else {
       return this._find(node.right, value);
@@ -241,169 +625,1626 @@ class Tree {
   }
 
   /**
-   * Calculates the height of the tree
-   * @returns {number} Height of the tree (-1 for empty tree)
+   * Returns the k-th smallest node (0-based)
+   * Time complexity: O(log n)
+   * @param {number} k - Rank of the node to select
+   * @returns {Node} Node holding the k-th smallest value
+   * @throws {Error} If k is not an integer or is out of bounds
+   * @example
+   * tree.select(0).value; // smallest value
    */
-  height() {
-    return this._height(this._root);
+  select(k) {
+    if (!Number.isInteger(k) || k < 0) {
+      throw new Error("Index must be an integer >= 0");
+    } else if (k >= this.count()) {
+      throw new Error("Index out of bound");
+    }
+
+    let curr = this._root;
+    while (curr !== null) {
+      const leftSize = this._size(curr.left);
+      if (k < leftSize) {
+        curr = curr.left;
+      } else if (k < leftSize + curr.count) {
+        return curr;
+      } else {
+        k -= leftSize + curr.count;
+        curr = curr.right;
+      }
+    }
+
+    // This should never be reached due to bounds checking
+    return null;
   }
 
   /**
-   * Recursively calculates the height of a subtree
-   * @param {Node|null} node - Root of subtree
-   * @returns {number} Height of the subtree
+   * Counts the values strictly smaller than the given value
+   * Time complexity: O(log n)
+   * @param {*} value - Value to rank (need not be in the tree)
+   * @returns {number} Number of smaller values, i.e. the index value has or would have
    */
-  _height(node) {
-    if (node === null) return -1;
+  rank(value) {
+    let rank = 0;
+    let curr = this._root;
+    while (curr !== null) {
+      const cmp = this._compare(value, curr.value);
+      if (cmp <= 0) {
+        curr = curr.left;
+      } else {
+        rank += this._size(curr.left) + curr.count;
+        curr = curr.right;
+      }
+    }
+    return rank;
+  }
 
-    return Math.max(this._height(node.left), this._height(node.right)) + 1;
+  /**
+   * Collects all values between lo and hi (both inclusive) in sorted order
+   * Time complexity: O(log n + k) for k matching values
+   * @param {*} lo - Lower bound
+   * @param {*} hi - Upper bound
+   * @returns {Array} Matching values in ascending order
+   */
+  range(lo, hi) {
+    const values = [];
+    this._range(this._root, lo, hi, values);
+    return values;
   }
 
   /**
-   * Performs level-order traversal, calling callback for each node
-   * @param {Function} callback - Function to call for each node
-   * @throws {Error} If callback is not a function
+   * Recursively collects values within bounds, skipping subtrees outside them
+   * @param {Node|null} node - Current node
+   * @param {*} lo - Lower bound
+   * @param {*} hi - Upper bound
+   * @param {Array} values - Accumulator for matching values
    */
-  levelOrderForEach(callback) {
-    if (!this._isFunction(callback)) {
-      throw new Error("Expected a function");
-    }
+  _range(node, lo, hi, values) {
+    if (node === null) return;
 
-    const q = [];
-    q.push(this._root);
+    const aboveLo = this._compare(node.value, lo) >= 0;
+    const belowHi = this._compare(node.value, hi) <= 0;
 
-    // Process nodes level by level using BFS
-    while (q.length > 0) {
-      let size = q.length;
-      // Process all nodes at current level
-      for (let i = 0; i < size; i++) {
-        let curr = q.shift();
-        callback(curr);
+    if (aboveLo) this._range(node.left, lo, hi, values);
+    if (aboveLo && belowHi) values.push(node.value);
+    if (belowHi) this._range(node.right, lo, hi, values);
+  }
 
-        // Add children to queue for next level
-        if (curr.left) q.push(curr.left);
-        if (curr.right) q.push(curr.right);
-      }
-    }
+  /**
+   * Counts the values in the tree, or the values between lo and hi (inclusive)
+   * Time complexity: O(1) without bounds, O(log n) with bounds
+   * @param {*} [lo] - Lower bound
+   * @param {*} [hi] - Upper bound
+   * @returns {number} Number of matching values
+   */
+  count(lo, hi) {
+    if (arguments.length === 0) return this._size(this._root);
+    if (this._compare(lo, hi) > 0) return 0;
+
+    const last = this.find(hi);
+    const upper = this.rank(hi) + (last !== null ? last.count : 0);
+    return upper - this.rank(lo);
   }
 
   /**
-   * Validates if a value is a function
-   * @param {*} callback - Value to check
-   * @returns {boolean} True if callback is a function
+   * Returns the node with the smallest value
+   * Time complexity: O(log n)
+   * @returns {Node|null} Minimum node, or null if the tree is empty
    */
-  _isFunction(callback) {
-    return typeof callback === "function";
+  min() {
+    let curr = this._root;
+    while (curr !== null && curr.left !== null) {
+      curr = curr.left;
+    }
+    return curr;
   }
 
   /**
-   * Performs inorder traversal, calling callback for each node
-   * @param {Function} callback - Function to call for each node
-   * @throws {Error} If callback is not a function
+   * Returns the node with the largest value
+   * Time complexity: O(log n)
+   * @returns {Node|null} Maximum node, or null if the tree is empty
    */
-  inOrderForEach(callback) {
-    if (!this._isFunction(callback)) {
-      throw new Error("Expected a function");
+  max() {
+    let curr = this._root;
+    while (curr !== null && curr.right !== null) {
+      curr = curr.right;
     }
+    return curr;
+  }
 
-    return this._inOrder(this._root, callback);
+  /**
+   * Finds the node with the largest value <= the given value
+   * Time complexity: O(log n)
+   * @param {*} value - Value to search around
+   * @returns {Node|null} Floor node, or null if none exists
+   */
+  floor(value) {
+    return this._closest(value, true, true);
   }
 
   /**
-   * Recursively performs inorder traversal (left, root, right)
-   * @param {Node|null} node - Current node
-   * @param {Function} callback - Function to call for each node
+   * Finds the node with the smallest value >= the given value
+   * Time complexity: O(log n)
+   * @param {*} value - Value to search around
+   * @returns {Node|null} Ceiling node, or null if none exists
    */
-  _inOrder(node, callback) {
-    if (node === null) return;
+  ceiling(value) {
+    return this._closest(value, false, true);
+  }
 
-    this._inOrder(node.left, callback); // Visit left subtree
-    callback(node); // Visit root
-    this._inOrder(node.right, callback); // Visit right subtree
+  /**
+   * Finds the node with the largest value strictly < the given value
+   * Time complexity: O(log n)
+   * @param {*} value - Value to search around (need not be in the tree)
+   * @returns {Node|null} Predecessor node, or null if none exists
+   */
+  predecessor(value) {
+    return this._closest(value, true, false);
   }
 
   /**
-   * Performs preorder traversal, calling callback for each node
-   * @param {Function} callback - Function to call for each node
-   * @throws {Error} If callback is not a function
+   * Finds the node with the smallest value strictly > the given value
+   * Time complexity: O(log n)
+   * @param {*} value - Value to search around (need not be in the tree)
+   * @returns {Node|null} Successor node, or null if none exists
    */
-  preOrderForEach(callback) {
-    if (!this._isFunction(callback)) {
-      throw new Error("Expected a function");
+  successor(value) {
+    return this._closest(value, false, false);
+  }
+
+  /**
+   * Walks from the root remembering the best candidate on one side of a value
+   * @param {*} value - Value to search around
+   * @param {boolean} below - Search for smaller values (true) or larger values (false)
+   * @param {boolean} inclusive - Whether an equal value is an acceptable answer
+   * @returns {Node|null} Closest matching node, or null if none exists
+   */
+  _closest(value, below, inclusive) {
+    let best = null;
+    let curr = this._root;
+    while (curr !== null) {
+      const cmp = this._compare(value, curr.value);
+      if (cmp === 0 && inclusive) return curr;
+
+      if (below ? cmp > 0 : cmp < 0) {
+        // Current node is on the wanted side; look for a closer one
+        best = curr;
+        curr = below ? curr.right : curr.left;
+      } else {
+        curr = below ? curr.left : curr.right;
+      }
     }
+    return best;
+  }
 
-    return this._preOrder(this._root, callback);
+  /**
+   * Returns the height of the tree
+   * Time complexity: O(1)
+   * @returns {number} Height of the tree (-1 for empty tree)
+   */
+  height() {
+    return this._height(this._root);
   }
 
   /**
-   * Recursively performs preorder traversal (root, left, right)
-   * @param {Node|null} node - Current node
-   * @param {Function} callback - Function to call for each node
+   * Reads the cached height of a subtree
+   * @param {Node|null} node - Root of subtree
+   * @returns {number} Height of the subtree (-1 for empty subtree)
    */
-  _preOrder(node, callback) {
-    if (node === null) return;
+  _height(node) {
+    return node === null ? -1 : node.height;
+  }
 
-    callback(node); // Visit root
-    this._preOrder(node.left, callback); // Visit left subtree
-    this._preOrder(node.right, callback); // Visit right subtree
+  /**
+   * Reads the cached value count of a subtree
+   * @param {Node|null} node - Root of subtree
+   * @returns {number} Number of values in the subtree (0 for empty subtree)
+   */
+  _size(node) {
+    return node === null ? 0 : node.size;
   }
 
   /**
-   * Performs postorder traversal, calling callback for each node
-   * @param {Function} callback - Function to call for each node
-   * @throws {Error} If callback is not a function
+   * Iterates over the tree's values in ascending order
+   * @returns {Iterator<*>} Iterator over values
+   * @example
+   * for (const value of tree) {
+   *   if (value > 10) break;
+   * }
    */
-  postOrderForEach(callback) {
-    if (!this._isFunction(callback)) {
-      throw new Error("Expected a function");
+  *[Symbol.iterator]() {
+    for (const node of this.inOrder()) {
+      yield node.value;
     }
+  }
 
-    return this._postOrder(this._root, callback);
+  /**
+   * Lazily yields nodes in inorder (left, root, right), i.e. ascending order
+   * Uses an explicit stack, so deep trees cannot overflow the call stack
+   * @yields {Node} Each node in the tree
+   */
+  *inOrder() {
+    const stack = [];
+    let curr = this._root;
+
+    while (curr !== null || stack.length > 0) {
+      // Descend as far left as possible, remembering the path
+      while (curr !== null) {
+        stack.push(curr);
+        curr = curr.left;
+      }
+      curr = stack.pop();
+      yield curr; // Visit root
+      curr = curr.right; // Continue with right subtree
+    }
   }
 
   /**
-   * Recursively performs postorder traversal (left, right, root)
-   * @param {Node|null} node - Current node
-   * @param {Function} callback - Function to call for each node
+   * Lazily yields nodes in reverse inorder (right, root, left), i.e. descending order
+   * @yields {Node} Each node in the tree
    */
-  _postOrder(node, callback) {
-    if (node === null) return;
+  *reverseInOrder() {
+    const stack = [];
+    let curr = this._root;
 
-    this._postOrder(node.left, callback); // Visit left subtree
-    this._postOrder(node.right, callback); // Visit right subtree
-    callback(node); // Visit root
+    while (curr !== null || stack.length > 0) {
+      // Descend as far right as possible, remembering the path
+      while (curr !== null) {
+        stack.push(curr);
+        curr = curr.right;
+      }
+      curr = stack.pop();
+      yield curr; // Visit root
+      curr = curr.left; // Continue with left subtree
+    }
   }
 
   /**
-   * Checks if the tree is balanced (height difference between subtrees <= 1)
-   * @param {Node} node - Node to check balance for (defaults to root)
-   * @returns {boolean} True if tree is balanced
+   * Lazily yields nodes in preorder (root, left, right)
+   * @yields {Node} Each node in the tree
    */
-  isBalanced(node = this._root) {
-    if (node === null) return true;
+  *preOrder() {
+    if (this._root === null) return;
 
-    const leftHeight = this._height(node.left);
-    const rightHeight = this._height(node.right);
+    const stack = [this._root];
+    while (stack.length > 0) {
+      const curr = stack.pop();
+      yield curr; // Visit root
 
-    // Tree is balanced if:
-    // 1. Height difference is at most 1
-    // 2. Both subtrees are balanced
-    return (
-      Math.abs(leftHeight - rightHeight) <= 1 &&
-      this.isBalanced(node.left) &&
-      this.isBalanced(node.right)
-    );
+      // Push right first so the left subtree is visited first
+      if (curr.right !== null) stack.push(curr.right);
+      if (curr.left !== null) stack.push(curr.left);
+    }
   }
 
   /**
-   * Rebalances the tree by rebuilding it from sorted values
-   * Uses inorder traversal to get sorted values, then rebuilds balanced tree
+   * Lazily yields nodes in postorder (left, right, root)
+   * @yields {Node} Each node in the tree
    */
-  _rebalance() {
-    const values = [];
-    // Get all values in sorted order
-    this.inOrderForEach((node) => values.push(node.value));
-    // Rebuild tree with balanced structure
-    this._root = this._buildBST(values, 0, values.length - 1);
+  *postOrder() {
+    const stack = [];
+    let curr = this._root;
+    let lastVisited = null;
+
+    while (curr !== null || stack.length > 0) {
+      while (curr !== null) {
+        stack.push(curr);
+        curr = curr.left;
+      }
+
+      const top = stack[stack.length - 1];
+      if (top.right !== null && top.right !== lastVisited) {
+        // Right subtree not yet visited
+        curr = top.right;
+      } else {
+        stack.pop();
+        yield top; // Visit root after both subtrees
+        lastVisited = top;
+      }
+    }
   }
-}
+
+  /**
+   * Lazily yields nodes level by level (breadth-first), left to right
+   * @yields {Node} Each node in the tree
+   */
+  *levelOrder() {
+    if (this._root === null) return;
+
+    // Array queue with a moving head index: O(1) dequeue without shift()
+    const q = [this._root];
+    for (let head = 0; head < q.length; head++) {
+      const curr = q[head];
+      yield curr;
+
+      // Add children to queue for next level
+      if (curr.left) q.push(curr.left);
+      if (curr.right) q.push(curr.right);
+    }
+  }
+
+  /**
+   * Performs level-order traversal, calling callback for each node
+   * @param {Function} callback - Function to call for each node
+   * @throws {Error} If callback is not a function
+   */
+  levelOrderForEach(callback) {
+    this._forEach(this.levelOrder(), callback);
+  }
+
+  /**
+   * Validates if a value is a function
+   * @param {*} callback - Value to check
+   * @returns {boolean} True if callback is a function
+   */
+  _isFunction(callback) {
+    return typeof callback === "function";
+  }
+
+  /**
+   * Calls a callback for every node produced by a traversal
+   * @param {Iterable<Node>} nodes - Traversal generator
+   * @param {Function} callback - Function to call for each node
+   * @throws {Error} If callback is not a function
+   */
+  _forEach(nodes, callback) {
+    if (!this._isFunction(callback)) {
+      throw new Error("Expected a function");
+    }
+
+    for (const node of nodes) {
+      callback(node);
+    }
+  }
+
+  /**
+   * Performs inorder traversal, calling callback for each node
+   * @param {Function} callback - Function to call for each node
+   * @throws {Error} If callback is not a function
+   */
+  inOrderForEach(callback) {
+    this._forEach(this.inOrder(), callback);
+  }
+
+  /**
+   * Performs preorder traversal, calling callback for each node
+   * @param {Function} callback - Function to call for each node
+   * @throws {Error} If callback is not a function
+   */
+  preOrderForEach(callback) {
+    this._forEach(this.preOrder(), callback);
+  }
+
+  /**
+   * Performs postorder traversal, calling callback for each node
+   * @param {Function} callback - Function to call for each node
+   * @throws {Error} If callback is not a function
+   */
+  postOrderForEach(callback) {
+    this._forEach(this.postOrder(), callback);
+  }
+
+  /**
+   * Checks if the tree is balanced (height difference between subtrees <= 1)
+   * Time complexity: O(1) - the AVL rotations keep every descendant balanced,
+   * so only the cached heights of the node's children need comparing
+   * @param {Node} node - Node to check balance for (defaults to root)
+   * @returns {boolean} True if tree is balanced
+   */
+  isBalanced(node = this._root) {
+    if (node === null) return true;
+
+    return Math.abs(this._balanceFactor(node)) <= 1;
+  }
+
+  /**
+   * Number of mutations applied to this tree (or, for a PersistentTree,
+   * the number of versions derived since the first one)
+   * @returns {number} Version number
+   */
+  get version() {
+    return this._version;
+  }
+
+  /**
+   * Captures the current contents as an immutable tree
+   * The snapshot is the persistent variant of this tree's class, so a
+   * TreeMap snapshots into a PersistentTreeMap, a TreeMultiset into a
+   * PersistentTreeMultiset, and so on
+   * Time complexity: O(1) - nodes are shared, and this tree copies the
+   * nodes it touches on later writes instead of mutating the snapshot
+   * @returns {PersistentTree|PersistentTreeMap|PersistentTreeMultiset|PersistentIntervalTree}
+   *   Snapshot tagged with the current version
+   * @example
+   * const before = tree.snapshot();
+   * tree.insert(42);
+   * before.find(42); // null
+   */
+  snapshot() {
+    const Persistent = this.constructor._persistentVariant;
+    const snapshot = Persistent._fromRoot(this._share(), this._options());
+    snapshot._version = this._version;
+    return snapshot;
+  }
+
+  /**
+   * Returns a new tree holding the values of this tree and another
+   * Uses AVL join: O(m log(n/m + 1)) for trees of sizes m <= n
+   * On equal values the node from this tree is kept (TreeMap data, counts)
+   * @param {Tree} other - Tree with the same comparator
+   * @returns {Tree} New tree; neither input is modified
+   * @throws {Error} If other is not a compatible tree
+   */
+  union(other) {
+    const result = this._spawn(other);
+    result._root = result._union(this._share(), other._share());
+    return result;
+  }
+
+  /**
+   * Returns a new tree holding the values present in both trees
+   * On equal values the node from this tree is kept
+   * @param {Tree} other - Tree with the same comparator
+   * @returns {Tree} New tree; neither input is modified
+   * @throws {Error} If other is not a compatible tree
+   */
+  intersection(other) {
+    const result = this._spawn(other);
+    result._root = result._intersection(this._share(), other._share());
+    return result;
+  }
+
+  /**
+   * Returns a new tree holding the values of this tree missing from another
+   * @param {Tree} other - Tree with the same comparator
+   * @returns {Tree} New tree; neither input is modified
+   * @throws {Error} If other is not a compatible tree
+   */
+  difference(other) {
+    const result = this._spawn(other);
+    result._root = result._difference(this._share(), other._share());
+    return result;
+  }
+
+  /**
+   * Checks if every value of this tree is also in another
+   * Time complexity: O(m log n)
+   * @param {Tree} other - Tree with the same comparator
+   * @returns {boolean} True if this tree is a subset of other
+   * @throws {Error} If other is not a compatible tree
+   */
+  isSubsetOf(other) {
+    this._assertCompatible(other);
+
+    for (const node of this.inOrder()) {
+      if (other.find(node.value) === null) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Splits the tree around a pivot value
+   * Time complexity: O(log n)
+   * @param {*} pivot - Value to split at (need not be in the tree)
+   * @returns {Array<Tree>} [values < pivot, values >= pivot]; this tree is not modified
+   */
+  split(pivot) {
+    const left = this._spawn();
+    const [less, found, greater] = left._split(this._share(), pivot);
+    left._root = less;
+
+    // Keep the pivot itself on the right-hand side
+    const right = this._spawn();
+    right._root = found === null ? greater : left._join(null, found, greater);
+    return [left, right];
+  }
+
+  /**
+   * Concatenates two trees whose values do not interleave
+   * Time complexity: O(log n)
+   * @param {Tree} left - Tree whose values are all smaller than right's
+   * @param {Tree} right - Tree with the same comparator
+   * @returns {Tree} New tree; neither input is modified
+   * @throws {Error} If the trees are incompatible or their values overlap
+   */
+  static join(left, right) {
+    const result = left._spawn(right);
+    const [leftMax, rightMin] = [left.max(), right.min()];
+    if (
+      leftMax !== null &&
+      rightMin !== null &&
+      left._compare(leftMax.value, rightMin.value) >= 0
+    ) {
+      throw new Error(
+        "Every value in left must be smaller than every value in right"
+      );
+    }
+
+    result._root = result._join2(left._share(), right._share());
+    return result;
+  }
+
+  /**
+   * Creates an empty tree of the same class and comparator as this one
+   * @param {Tree} [other] - Tree that will be combined with this one
+   * @returns {Tree} Empty tree
+   * @throws {Error} If other is not a compatible tree
+   */
+  _spawn(other) {
+    if (other !== undefined) this._assertCompatible(other);
+    return this.constructor._fromRoot(null, this._options());
+  }
+
+  /**
+   * Constructor options that recreate this tree's configuration
+   * @returns {Object} Tree options
+   */
+  _options() {
+    return { compare: this._compare };
+  }
+
+  /**
+   * Ensures another tree can be combined with this one
+   * @param {Tree} other - Tree to check
+   * @throws {Error} If other is not a Tree or orders values differently
+   */
+  _assertCompatible(other) {
+    if (!(other instanceof Tree)) {
+      throw new Error("Expected a Tree");
+    }
+    if (other._compare !== this._compare) {
+      throw new Error("Trees must share the same comparator");
+    }
+  }
+
+  /**
+   * Joins two subtrees around a middle node (AVL join)
+   * Every value in left must be smaller than mid and every value in right larger
+   * @param {Node|null} left - Left subtree
+   * @param {Node} mid - Node placed between them (its children are replaced)
+   * @param {Node|null} right - Right subtree
+   * @returns {Node} Root of the joined subtree
+   */
+  _join(left, mid, right) {
+    const leftHeight = this._height(left);
+    const rightHeight = this._height(right);
+
+    // Descend along the taller side until the heights are close enough
+    if (leftHeight > rightHeight + 1) {
+      const node = this._writable(left);
+      node.right = this._join(left.right, mid, right);
+      return this._balance(node);
+    }
+    if (rightHeight > leftHeight + 1) {
+      const node = this._writable(right);
+      node.left = this._join(left, mid, right.left);
+      return this._balance(node);
+    }
+
+    const node = this._writable(mid);
+    node.left = left;
+    node.right = right;
+    return this._update(node);
+  }
+
+  /**
+   * Joins two subtrees without a middle node by borrowing right's minimum
+   * @param {Node|null} left - Left subtree
+   * @param {Node|null} right - Right subtree
+   * @returns {Node|null} Root of the joined subtree
+   */
+  _join2(left, right) {
+    if (left === null) return right;
+    if (right === null) return left;
+
+    const [rest, min] = this._splitMin(right);
+    return this._join(left, min, rest);
+  }
+
+  /**
+   * Separates the minimum node from a subtree
+   * @param {Node} node - Root of subtree
+   * @returns {Array} [remaining subtree, minimum node]
+   */
+  _splitMin(node) {
+    if (node.left === null) return [node.right, node];
+
+    const [rest, min] = this._splitMin(node.left);
+    return [this._join(rest, node, node.right), min];
+  }
+
+  /**
+   * Splits a subtree into values below and above a pivot
+   * @param {Node|null} node - Root of subtree
+   * @param {*} pivot - Value to split at
+   * @returns {Array} [smaller subtree, node equal to pivot or null, larger subtree]
+   */
+  _split(node, pivot) {
+    if (node === null) return [null, null, null];
+
+    const cmp = this._compare(pivot, node.value);
+    if (cmp === 0) return [node.left, node, node.right];
+
+    if (cmp < 0) {
+      const [less, found, greater] = this._split(node.left, pivot);
+      return [less, found, this._join(greater, node, node.right)];
+    }
+    const [less, found, greater] = this._split(node.right, pivot);
+    return [this._join(node.left, node, less), found, greater];
+  }
+
+  /**
+   * Recursively unions two subtrees, keeping nodes from the first on ties
+   * @param {Node|null} a - First subtree
+   * @param {Node|null} b - Second subtree
+   * @returns {Node|null} Root of the union
+   */
+  _union(a, b) {
+    if (a === null) return b;
+    if (b === null) return a;
+
+    const [less, , greater] = this._split(b, a.value);
+    return this._join(
+      this._union(a.left, less),
+      a,
+      this._union(a.right, greater)
+    );
+  }
+
+  /**
+   * Recursively intersects two subtrees, keeping nodes from the first
+   * @param {Node|null} a - First subtree
+   * @param {Node|null} b - Second subtree
+   * @returns {Node|null} Root of the intersection
+   */
+  _intersection(a, b) {
+    if (a === null || b === null) return null;
+
+    const [less, found, greater] = this._split(b, a.value);
+    const left = this._intersection(a.left, less);
+    const right = this._intersection(a.right, greater);
+    return found !== null
+      ? this._join(left, a, right)
+      : this._join2(left, right);
+  }
+
+  /**
+   * Recursively removes the values of one subtree from another
+   * @param {Node|null} a - Subtree to remove values from
+   * @param {Node|null} b - Subtree of values to remove
+   * @returns {Node|null} Root of the difference
+   */
+  _difference(a, b) {
+    if (a === null) return null;
+    if (b === null) return a;
+
+    const [less, , greater] = this._split(a, b.value);
+    return this._join2(
+      this._difference(less, b.left),
+      this._difference(greater, b.right)
+    );
+  }
+
+  /**
+   * Converts the tree to a nested plain object preserving its exact shape
+   * Called automatically by JSON.stringify
+   * @returns {Object} Object of the form { root: {value, left, right} | null }
+   */
+  toJSON() {
+    return { root: this._nodeToJSON(this._root) };
+  }
+
+  /**
+   * Recursively converts a subtree to plain objects
+   * Payload fields are only written when they differ from the Node defaults
+   * @param {Node|null} node - Root of subtree
+   * @returns {Object|null} Plain object for the subtree
+   */
+  _nodeToJSON(node) {
+    if (node === null) return null;
+
+    const json = { value: node.value };
+    if (node.data !== undefined) json.data = node.data;
+    if (node.count !== 1) json.count = node.count;
+    json.left = this._nodeToJSON(node.left);
+    json.right = this._nodeToJSON(node.right);
+    return json;
+  }
+
+  /**
+   * Recreates a tree with the exact shape produced by toJSON()
+   * @param {Object|string} json - Result of toJSON(), or its JSON string
+   * @param {Object} [options] - Tree options (the comparator is not serialized)
+   * @returns {Tree} Tree of the class fromJSON was called on
+   * @throws {Error} If the input is malformed, out of order or unbalanced
+   */
+  static fromJSON(json, options = {}) {
+    if (typeof json === "string") json = JSON.parse(json);
+    if (json === null || typeof json !== "object" || !("root" in json)) {
+      throw new Error("Invalid tree JSON: expected an object with a root");
+    }
+
+    const tree = this._fromRoot(null, options);
+    tree._root = tree._nodeFromJSON(json.root);
+    tree._assertValid();
+    return tree;
+  }
+
+  /**
+   * Recursively recreates a subtree from plain objects
+   * @param {Object|null} json - Plain object for the subtree
+   * @returns {Node|null} Root node of the subtree
+   */
+  _nodeFromJSON(json) {
+    if (json === null) return null;
+    if (typeof json !== "object" || !("value" in json)) {
+      throw new Error("Invalid tree JSON: node must have a value");
+    }
+
+    const node = new Node(json.value, this._owner);
+    if ("data" in json) node.data = json.data;
+    if ("count" in json) node.count = json.count;
+    node.left = this._nodeFromJSON(json.left ?? null);
+    node.right = this._nodeFromJSON(json.right ?? null);
+    return this._update(node);
+  }
+
+  /**
+   * Serializes the tree as a compact preorder token list with null markers
+   * @returns {string} JSON array such as "[2,1,null,null,3,null,null]"
+   */
+  serialize() {
+    const tokens = [];
+    const stack = [this._root];
+
+    // Iterative preorder that also records missing children
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node === null) {
+        tokens.push(null);
+        continue;
+      }
+      tokens.push(this._encodeNode(node));
+      stack.push(node.right, node.left);
+    }
+
+    return JSON.stringify(tokens);
+  }
+
+  /**
+   * Recreates a tree with the exact shape produced by serialize()
+   * @param {string} str - Compact preorder string
+   * @param {Object} [options] - Tree options (the comparator is not serialized)
+   * @returns {Tree} Tree of the class deserialize was called on
+   * @throws {Error} If the input is malformed, out of order or unbalanced
+   */
+  static deserialize(str, options = {}) {
+    const tokens = JSON.parse(str);
+    if (!Array.isArray(tokens)) {
+      throw new Error("Invalid serialized tree: expected an array");
+    }
+
+    const tree = this._fromRoot(null, options);
+    let idx = 0;
+    const build = () => {
+      if (idx >= tokens.length) {
+        throw new Error("Invalid serialized tree: unexpected end of input");
+      }
+      const token = tokens[idx++];
+      if (token === null) return null;
+
+      const node = tree._decodeNode(token);
+      node.left = build();
+      node.right = build();
+      return tree._update(node);
+    };
+
+    tree._root = build();
+    if (idx !== tokens.length) {
+      throw new Error("Invalid serialized tree: trailing tokens");
+    }
+    tree._assertValid();
+    return tree;
+  }
+
+  /**
+   * Converts a node to its compact serialization token
+   * @param {Node} node - Node to encode
+   * @returns {*} Token for the node
+   */
+  _encodeNode(node) {
+    return node.value;
+  }
+
+  /**
+   * Creates a node from its compact serialization token
+   * @param {*} token - Token produced by _encodeNode
+   * @returns {Node} New node (children not yet linked)
+   */
+  _decodeNode(token) {
+    return this._createNode(token);
+  }
+
+  /**
+   * Creates a tree instance around an existing root without rebuilding it
+   * @param {Node|null} root - Root node to adopt
+   * @param {Object} [options] - Tree options
+   * @returns {Tree} Tree of the class _fromRoot was called on
+   */
+  static _fromRoot(root, options = {}) {
+    const tree = new this([], options);
+    tree._root = root;
+    return tree;
+  }
+
+  /**
+   * Verifies ordering, balance and occurrence counts of a loaded tree
+   * @throws {Error} If any invariant does not hold
+   */
+  _assertValid() {
+    let prev = null;
+    for (const node of this.inOrder()) {
+      if (prev !== null && this._compare(prev.value, node.value) >= 0) {
+        throw new Error("Invalid tree: values are not in ascending order");
+      }
+      if (!Number.isInteger(node.count) || node.count < 1) {
+        throw new Error("Invalid tree: count must be a positive integer");
+      }
+      if (!this.isBalanced(node)) {
+        throw new Error("Invalid tree: subtree heights differ by more than 1");
+      }
+      prev = node;
+    }
+  }
+
+  /**
+   * Exports the tree in Graphviz DOT format
+   * Missing children are drawn as points so left/right placement is kept
+   * @returns {string} DOT source, e.g. for `dot -Tpng`
+   */
+  toDOT() {
+    const lines = ["digraph Tree {", "  node [shape=circle];"];
+    const ids = new Map();
+    let nulls = 0;
+
+    for (const node of this.preOrder()) {
+      ids.set(node, `n${ids.size}`);
+    }
+
+    for (const [node, id] of ids) {
+      const label = String(node.value).replace(/["\\]/g, "\\$&");
+      lines.push(`  ${id} [label="${label}"];`);
+
+      if (node.left === null && node.right === null) continue;
+      for (const child of [node.left, node.right]) {
+        if (child !== null) {
+          lines.push(`  ${id} -> ${ids.get(child)};`);
+        } else {
+          const nullId = `null${nulls++}`;
+          lines.push(`  ${nullId} [shape=point];`);
+          lines.push(`  ${id} -> ${nullId};`);
+        }
+      }
+    }
+
+    lines.push("}");
+    return lines.join("\n");
+  }
+}
+
+/**
+ * Sorted dictionary mapping keys to values, ordered by key
+ * Nodes hold the key in `value` and the mapped value in `data`, so every
+ * Tree query (select, floor, range, ...) works on keys
+ * @example
+ * const scores = new TreeMap([["bob", 3], ["amy", 5]]);
+ * scores.set("cat", 1);
+ * [...scores.entries()]; // [["amy", 5], ["bob", 3], ["cat", 1]]
+ */
+class TreeMap extends Tree {
+  /**
+   * Builds a balanced tree from the [key, value] pairs given to the constructor
+   * @param {Array<Array>} entries - Key/value pairs; later pairs win on duplicate keys
+   * @throws {Error} If an entry is not a [key, value] pair
+   * @returns {Node} Root node of the constructed tree
+   */
+  _buildTree(entries) {
+    if (!entries.every((entry) => Array.isArray(entry))) {
+      throw new Error("Entries must be [key, value] pairs");
+    }
+
+    // Stable sort keeps insertion order among equal keys
+    const sorted = [...entries].sort((a, b) => this._compare(a[0], b[0]));
+    const keys = [];
+    const values = [];
+    for (const [key, value] of sorted) {
+      const last = keys.length - 1;
+      if (last >= 0 && this._compare(keys[last], key) === 0) {
+        values[last] = value; // Later pair overwrites earlier one
+      } else {
+        keys.push(key);
+        values.push(value);
+      }
+    }
+
+    return this._buildBST(keys, 0, keys.length - 1, values);
+  }
+
+  /**
+   * Creates a node holding a key and its mapped value
+   * @param {*} key - Key to store
+   * @param {*} value - Mapped value
+   * @returns {Node} New node
+   */
+  _createNode(key, value) {
+    const node = new Node(key, this._owner);
+    node.data = value;
+    return node;
+  }
+
+  /**
+   * Encodes a node as a [key, value] token
+   * @param {Node} node - Node to encode
+   * @returns {Array} [key, value] pair
+   */
+  _encodeNode(node) {
+    return [node.value, node.data];
+  }
+
+  /**
+   * Creates a node from a [key, value] token
+   * @param {Array} token - [key, value] pair
+   * @returns {Node} New node
+   * @throws {Error} If token is not a [key, value] pair
+   */
+  _decodeNode(token) {
+    if (!Array.isArray(token) || token.length !== 2) {
+      throw new Error(
+        "Invalid serialized tree: map entries must be [key, value] pairs"
+      );
+    }
+    const [key, value] = token;
+    return this._createNode(key, value);
+  }
+
+  /**
+   * Overwrites the mapped value of an existing key
+   * @param {Node} node - Node holding the key
+   * @param {*} value - New mapped value
+   * @returns {Node} Updated node
+   */
+  _onDuplicate(node, value) {
+    node = this._writable(node);
+    node.data = value;
+    return node;
+  }
+
+  /**
+   * Number of keys in the map
+   * @returns {number} Number of entries
+   */
+  get size() {
+    return this.count();
+  }
+
+  /**
+   * Adds or updates a key
+   * Time complexity: O(log n)
+   * @param {*} key - Key to set
+   * @param {*} value - Value to associate with the key
+   * @returns {TreeMap} This map, for chaining
+   */
+  set(key, value) {
+    this._root = this._insertItem(this._root, key, value);
+    this._version++;
+    return this;
+  }
+
+  /**
+   * Retrieves the value associated with a key
+   * Time complexity: O(log n)
+   * @param {*} key - Key to look up
+   * @returns {*} The mapped value, or undefined if the key is absent
+   */
+  get(key) {
+    const node = this.find(key);
+    return node === null ? undefined : node.data;
+  }
+
+  /**
+   * Checks if a key exists in the map
+   * @param {*} key - Key to check
+   * @returns {boolean} True if the key exists
+   */
+  has(key) {
+    return this.find(key) !== null;
+  }
+
+  /**
+   * Removes a key and its value
+   * Time complexity: O(log n)
+   * @param {*} key - Key to remove
+   * @returns {boolean} True if removed, false if key not found
+   */
+  delete(key) {
+    const before = this.count();
+    this.deleteItem(key);
+    return this.count() < before;
+  }
+
+  /**
+   * Lazily yields [key, value] pairs in ascending key order
+   * @yields {Array} [key, value] pair
+   */
+  *entries() {
+    for (const node of this.inOrder()) {
+      yield [node.value, node.data];
+    }
+  }
+
+  /**
+   * Lazily yields keys in ascending order
+   * @yields {*} Key
+   */
+  *keys() {
+    for (const node of this.inOrder()) {
+      yield node.value;
+    }
+  }
+
+  /**
+   * Lazily yields mapped values in ascending key order
+   * @yields {*} Mapped value
+   */
+  *values() {
+    for (const node of this.inOrder()) {
+      yield node.data;
+    }
+  }
+
+  /**
+   * Iterates over [key, value] pairs, like the native Map
+   * @returns {Iterator<Array>} Iterator over entries
+   */
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+/**
+ * Sorted multiset that tracks how many times each value occurs
+ * Each distinct value occupies one node whose `count` holds its occurrences;
+ * sizes count every occurrence, so select/rank/count see repeated values
+ * @example
+ * const readings = new TreeMultiset([3, 1, 3]);
+ * readings.multiplicity(3); // 2
+ * [...readings]; // [1, 3, 3]
+ */
+class TreeMultiset extends Tree {
+  /**
+   * Builds a balanced tree from values, folding duplicates into counts
+   * @param {Array} arr - Input array of values (not modified)
+   * @returns {Node} Root node of the constructed tree
+   */
+  _buildTree(arr) {
+    const sorted = [...arr].sort(this._compare);
+    const values = [];
+    const counts = [];
+    for (const value of sorted) {
+      const last = values.length - 1;
+      if (last >= 0 && this._compare(values[last], value) === 0) {
+        counts[last]++;
+      } else {
+        values.push(value);
+        counts.push(1);
+      }
+    }
+
+    return this._buildBST(values, 0, values.length - 1, counts);
+  }
+
+  /**
+   * Creates a node holding a value and its occurrence count
+   * @param {*} value - Value to store
+   * @param {number} [n=1] - Initial occurrences
+   * @returns {Node} New node
+   */
+  _createNode(value, n = 1) {
+    const node = new Node(value, this._owner);
+    node.count = n;
+    return this._update(node);
+  }
+
+  /**
+   * Encodes a node as a [value, count] token
+   * @param {Node} node - Node to encode
+   * @returns {Array} [value, count] pair
+   */
+  _encodeNode(node) {
+    return [node.value, node.count];
+  }
+
+  /**
+   * Creates a node from a [value, count] token
+   * @param {Array} token - [value, count] pair
+   * @returns {Node} New node
+   * @throws {Error} If token is not a [value, count] pair
+   */
+  _decodeNode(token) {
+    if (!Array.isArray(token) || token.length !== 2) {
+      throw new Error(
+        "Invalid serialized tree: multiset entries must be [value, count] pairs"
+      );
+    }
+    const [value, count] = token;
+    return this._createNode(value, count);
+  }
+
+  /**
+   * Adjusts the occurrence count of an existing value
+   * @param {Node} node - Node holding the value
+   * @param {number} [n=1] - Occurrences to add (negative to remove)
+   * @returns {Node} Updated node
+   */
+  _onDuplicate(node, n = 1) {
+    node = this._writable(node);
+    node.count += n;
+    return this._update(node);
+  }
+
+  /**
+   * Validates a number of occurrences to add or remove
+   * @param {number} n - Number of occurrences
+   * @throws {Error} If n is not a positive integer
+   */
+  _checkOccurrences(n) {
+    if (!Number.isInteger(n) || n < 1) {
+      throw new Error("Occurrences must be a positive integer");
+    }
+  }
+
+  /**
+   * Adds occurrences of a value
+   * Time complexity: O(log n)
+   * @param {*} value - Value to add
+   * @param {number} [n=1] - Number of occurrences to add
+   * @throws {Error} If n is not a positive integer
+   */
+  add(value, n = 1) {
+    this._checkOccurrences(n);
+    this._root = this._insertItem(this._root, value, n);
+    this._version++;
+  }
+
+  /**
+   * Removes occurrences of a value, deleting its node once none remain
+   * Time complexity: O(log n)
+   * @param {*} value - Value to remove
+   * @param {number} [n=1] - Number of occurrences to remove
+   * @returns {number} Number of occurrences actually removed
+   * @throws {Error} If n is not a positive integer
+   */
+  remove(value, n = 1) {
+    this._checkOccurrences(n);
+
+    const node = this.find(value);
+    if (node === null) return 0;
+
+    if (node.count > n) {
+      this._root = this._insertItem(this._root, value, -n);
+      this._version++;
+      return n;
+    }
+
+    const removed = node.count;
+    this.deleteItem(value);
+    return removed;
+  }
+
+  /**
+   * Returns how many times a value occurs
+   * Time complexity: O(log n)
+   * @param {*} value - Value to look up
+   * @returns {number} Occurrences of the value (0 if absent)
+   */
+  multiplicity(value) {
+    const node = this.find(value);
+    return node === null ? 0 : node.count;
+  }
+
+  /**
+   * Lazily yields [value, count] pairs in ascending order
+   * @yields {Array} [value, count] pair
+   */
+  *entries() {
+    for (const node of this.inOrder()) {
+      yield [node.value, node.count];
+    }
+  }
+
+  /**
+   * Iterates over every occurrence in ascending order
+   * @returns {Iterator<*>} Iterator over values, repeated per occurrence
+   */
+  *[Symbol.iterator]() {
+    for (const node of this.inOrder()) {
+      for (let i = 0; i < node.count; i++) {
+        yield node.value;
+      }
+    }
+  }
+}
+
+/**
+ * Adds immutable, versioned writes to a tree class
+ * Every write returns a new version that shares every unchanged node with
+ * the version it was made from (path copying, O(log n) per write); read
+ * methods behave exactly as on the base class
+ * @param {Function} Base - Tree or one of its subclasses
+ * @returns {Function} Persistent subclass of Base
+ */
+function persistent(Base) {
+  return class extends Base {
+    /**
+     * Returns a new version with the value inserted
+     * Time complexity: O(log n)
+     * @param {*} value - Value to insert
+     * @returns {Tree} New version; this version is unchanged
+     */
+    insert(value) {
+      const next = this._derive();
+      next._root = next._insertItem(next._root, value);
+      return next;
+    }
+
+    /**
+     * Returns a new version with the value removed
+     * Time complexity: O(log n)
+     * @param {*} value - Value to delete
+     * @returns {Tree} New version; this version is unchanged
+     */
+    deleteItem(value) {
+      const next = this._derive();
+      next._root = next._deleteItem(next._root, value);
+      return next;
+    }
+
+    /**
+     * Returns a new version with every value from an iterable inserted
+     * @param {Iterable} iterable - Values to insert
+     * @returns {Tree} New version; this version is unchanged
+     */
+    insertMany(iterable) {
+      const next = this._derive();
+      next._root = next._insertMany(iterable);
+      return next;
+    }
+
+    /**
+     * Returns a new version with every value from an iterable removed
+     * @param {Iterable} iterable - Values to delete
+     * @returns {Tree} New version; this version is unchanged
+     */
+    deleteMany(iterable) {
+      const next = this._derive();
+      next._root = next._deleteMany(iterable);
+      return next;
+    }
+
+    /**
+     * Returns a new, empty version
+     * @returns {Tree} New version; this version is unchanged
+     */
+    clear() {
+      const next = this._derive();
+      next._root = null;
+      return next;
+    }
+
+    /**
+     * Persistent trees are already immutable, so a snapshot is the tree itself
+     * @returns {Tree} This tree
+     */
+    snapshot() {
+      return this;
+    }
+
+    /**
+     * Creates a mutable tree of the base class starting from this version
+     * Time complexity: O(1) - nodes are copied lazily on write
+     * @returns {Tree} Mutable tree with the same contents
+     */
+    toTree() {
+      const tree = Base._fromRoot(this._root, this._options());
+      tree._version = this._version;
+      return tree;
+    }
+
+    /**
+     * Creates the successor version that the next write builds into
+     * It starts with this version's root; its fresh owner token makes every
+     * existing node read-only to it
+     * @returns {Tree} Successor version
+     */
+    _derive() {
+      const next = this._spawn();
+      next._root = this._root;
+      next._version = this._version + 1;
+      return next;
+    }
+  };
+}
+
+/**
+ * Immutable balanced tree: insert and deleteItem return a new version that
+ * shares every unchanged node with this one (path copying, O(log n) per write)
+ * All read methods (find, traversals, queries) behave exactly as on Tree
+ * @example
+ * const v0 = new PersistentTree([1, 2, 3]);
+ * const v1 = v0.insert(4);
+ * [...v0]; // [1, 2, 3]
+ * [...v1]; // [1, 2, 3, 4]
+ * v1.version; // 1
+ */
+class PersistentTree extends persistent(Tree) {}
+
+/**
+ * Immutable TreeMap: set and delete return a new version, like the writes of
+ * PersistentTree
+ * @example
+ * const v0 = new PersistentTreeMap([["a", 1]]);
+ * const v1 = v0.set("b", 2);
+ * v0.has("b"); // false
+ * v1.get("b"); // 2
+ */
+class PersistentTreeMap extends persistent(TreeMap) {
+  /**
+   * Returns a new version with a key added or updated
+   * Time complexity: O(log n)
+   * @param {*} key - Key to set
+   * @param {*} value - Value to associate with the key
+   * @returns {PersistentTreeMap} New version; this version is unchanged
+   */
+  set(key, value) {
+    const next = this._derive();
+    next._root = next._insertItem(next._root, key, value);
+    return next;
+  }
+
+  /**
+   * Returns a new version without a key
+   * Time complexity: O(log n)
+   * @param {*} key - Key to remove
+   * @returns {PersistentTreeMap} New version; this version is unchanged
+   */
+  delete(key) {
+    return this.deleteItem(key);
+  }
+}
+
+/**
+ * Immutable TreeMultiset: add and remove return a new version, like the
+ * writes of PersistentTree
+ * @example
+ * const v0 = new PersistentTreeMultiset([3, 3]);
+ * const v1 = v0.remove(3);
+ * v0.multiplicity(3); // 2
+ * v1.multiplicity(3); // 1
+ */
+class PersistentTreeMultiset extends persistent(TreeMultiset) {
+  /**
+   * Returns a new version with occurrences of a value added
+   * Time complexity: O(log n)
+   * @param {*} value - Value to add
+   * @param {number} [n=1] - Number of occurrences to add
+   * @returns {PersistentTreeMultiset} New version; this version is unchanged
+   * @throws {Error} If n is not a positive integer
+   */
+  add(value, n = 1) {
+    this._checkOccurrences(n);
+    const next = this._derive();
+    next._root = next._insertItem(next._root, value, n);
+    return next;
+  }
+
+  /**
+   * Returns a new version with occurrences of a value removed, deleting its
+   * node once none remain
+   * Time complexity: O(log n)
+   * @param {*} value - Value to remove
+   * @param {number} [n=1] - Number of occurrences to remove
+   * @returns {PersistentTreeMultiset} New version; this version is unchanged
+   * @throws {Error} If n is not a positive integer
+   */
+  remove(value, n = 1) {
+    this._checkOccurrences(n);
+
+    const node = this.find(value);
+    if (node === null || node.count <= n) return this.deleteItem(value);
+
+    const next = this._derive();
+    next._root = next._insertItem(next._root, value, -n);
+    return next;
+  }
+}
+
+/**
+ * Cache of interval comparators so trees sharing an endpoint comparator
+ * also share an interval comparator (and can be combined with set algebra)
+ * @type {WeakMap<Function, Function>}
+ */
+const intervalComparators = new WeakMap();
+
+/**
+ * Builds a comparator ordering intervals by start, then by end
+ * @param {Function} compare - Comparator for endpoints
+ * @returns {Function} Comparator for [start, end] intervals
+ */
+function intervalComparator(compare) {
+  if (!intervalComparators.has(compare)) {
+    intervalComparators.set(
+      compare,
+      (a, b) => compare(a[0], b[0]) || compare(a[1], b[1])
+    );
+  }
+  return intervalComparators.get(compare);
+}
+
+/**
+ * Balanced tree of closed intervals [start, end], ordered by start
+ * Every node also stores the largest end point in its subtree (`max`), which
+ * lets queries skip subtrees that end before the range of interest.
+ * Intervals are inserted and removed with the inherited insert/deleteItem;
+ * identical intervals are stored once.
+ * @example
+ * const bookings = new IntervalTree([[9, 12], [13, 15]]);
+ * bookings.insert([11, 14]);
+ * bookings.overlapping([12, 13]); // [[9, 12], [11, 14], [13, 15]]
+ * bookings.stabbing(10); // [[9, 12]]
+ */
+class IntervalTree extends Tree {
+  /**
+   * Creates a balanced interval tree
+   * @param {Iterable<Array>} [intervals=[]] - [start, end] pairs with start <= end
+   * @param {Object} [options] - Tree options
+   * @param {Function} [options.compare] - Comparator for endpoints (numbers, dates, ...)
+   * @throws {Error} If input is not iterable, an interval is invalid, or compare is not a function
+   */
+  constructor(intervals = [], options = {}) {
+    const { compare = defaultCompare } = options;
+    if (typeof compare !== "function") {
+      throw new Error("Comparator must be a function");
+    }
+    // Endpoint comparator must be in place before any node is built
+    super([], { compare: intervalComparator(compare) });
+    this._compareEndpoints = compare;
+
+    if (!this._isIterable(intervals)) {
+      throw new Error("Input must be iterable");
+    }
+    this._root = this._buildTree(Array.from(intervals));
+  }
+
+  /**
+   * Creates a node for an interval after validating it
+   * @param {Array} interval - [start, end] pair
+   * @returns {Node} New node
+   * @throws {Error} If interval is not a [start, end] pair with start <= end
+   */
+  _createNode(interval) {
+    if (!Array.isArray(interval) || interval.length !== 2) {
+      throw new Error("Interval must be a [start, end] pair");
+    }
+    if (this._compareEndpoints(interval[0], interval[1]) > 0) {
+      throw new Error("Interval start must not be after its end");
+    }
+    return super._createNode(interval);
+  }
+
+  /**
+   * Recomputes height, size and the subtree max endpoint of a node
+   * @param {Node} node - Node to update
+   * @returns {Node} The same node
+   */
+  _update(node) {
+    super._update(node);
+
+    let max = node.value[1];
+    for (const child of [node.left, node.right]) {
+      if (child !== null && this._compareEndpoints(child.max, max) > 0) {
+        max = child.max;
+      }
+    }
+    node.max = max;
+    return node;
+  }
+
+  /**
+   * Constructor options that recreate this tree's configuration
+   * The constructor takes the endpoint comparator, not the interval one
+   * @returns {Object} Tree options
+   */
+  _options() {
+    return { compare: this._compareEndpoints };
+  }
+
+  /**
+   * Collects every interval that shares at least one point with a range
+   * Time complexity: O(min(n, log n + k log(n / k))) for k matching
+   * intervals, which is O(log n + k) only when the matches are close
+   * together in start order. A subtree's `max` shows that it holds a match
+   * but not where, so reaching k scattered matches can take a path of
+   * O(log(n / k)) nodes each; a guaranteed O(log n + k) would need a
+   * different structure, such as a priority search tree.
+   * @param {Array} range - Closed [lo, hi] range
+   * @returns {Array<Array>} Overlapping intervals ordered by start
+   * @throws {Error} If range is not a valid interval
+   */
+  overlapping(range) {
+    if (!Array.isArray(range) || range.length !== 2) {
+      throw new Error("Range must be a [lo, hi] pair");
+    }
+    if (this._compareEndpoints(range[0], range[1]) > 0) {
+      throw new Error("Range start must not be after its end");
+    }
+
+    const intervals = [];
+    this._overlapping(this._root, range[0], range[1], intervals);
+    return intervals;
+  }
+
+  /**
+   * Collects every interval that contains a point
+   * Time complexity: O(min(n, log n + k log(n / k))) for k matching
+   * intervals, as for overlapping()
+   * @param {*} point - Point to stab with
+   * @returns {Array<Array>} Intervals containing the point, ordered by start
+   */
+  stabbing(point) {
+    return this.overlapping([point, point]);
+  }
+
+  /**
+   * Recursively collects overlapping intervals, pruning with `max` and start order
+   * @param {Node|null} node - Current node
+   * @param {*} lo - Start of the query range
+   * @param {*} hi - End of the query range
+   * @param {Array<Array>} intervals - Accumulator for matches
+   */
+  _overlapping(node, lo, hi, intervals) {
+    // Nothing in this subtree reaches the query range
+    if (node === null || this._compareEndpoints(node.max, lo) < 0) return;
+
+    this._overlapping(node.left, lo, hi, intervals);
+
+    // This node and its whole right subtree start after the range
+    const [start, end] = node.value;
+    if (this._compareEndpoints(start, hi) > 0) return;
+
+    if (this._compareEndpoints(end, lo) >= 0) intervals.push(node.value);
+    this._overlapping(node.right, lo, hi, intervals);
+  }
+}
+
+/**
+ * Immutable IntervalTree: insert and deleteItem return a new version, like
+ * the writes of PersistentTree
+ */
+class PersistentIntervalTree extends persistent(IntervalTree) {}
+
+// Persistent class each tree class snapshots into (see Tree.snapshot)
+Tree._persistentVariant = PersistentTree;
+TreeMap._persistentVariant = PersistentTreeMap;
+TreeMultiset._persistentVariant = PersistentTreeMultiset;
+IntervalTree._persistentVariant = PersistentIntervalTree;
+
+module.exports = {
+  Node,
+  Tree,
+  TreeMap,
+  TreeMultiset,
+  PersistentTree,
+  PersistentTreeMap,
+  PersistentTreeMultiset,
+  IntervalTree,
+  PersistentIntervalTree,
+};
@@ -0,0 +1,683 @@
+const {
+  Node,
+  Tree,
+  TreeMap,
+  TreeMultiset,
+  PersistentTree,
+  PersistentTreeMap,
+  PersistentTreeMultiset,
+  IntervalTree,
+  PersistentIntervalTree,
+} = require("./balancedBST.js");
+
+// Deterministic pseudo-random numbers so failures are reproducible
+function makeRandom(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+function randomValues(random, count, max) {
+  return Array.from({ length: count }, () => Math.floor(random() * max));
+}
+
+// Naive model: sorted array of unique values
+function model(values) {
+  return [...new Set(values)].sort((a, b) => a - b);
+}
+
+// Values in order, through the callback traversal every Tree version has
+function valuesOf(tree) {
+  const values = [];
+  tree.inOrderForEach((node) => values.push(node.value));
+  return values;
+}
+
+function checkInvariants(tree) {
+  let valid = true;
+  const walk = (node) => {
+    if (node === null) return { height: -1, size: 0 };
+    const left = walk(node.left);
+    const right = walk(node.right);
+    valid =
+      valid &&
+      Math.abs(left.height - right.height) <= 1 &&
+      node.height === Math.max(left.height, right.height) + 1 &&
+      node.size === left.size + right.size + node.count;
+    return { height: node.height, size: node.size };
+  };
+  walk(tree._root);
+  expect(valid).toBe(true);
+
+  const values = [...tree];
+  expect(values).toEqual(model(values));
+}
+
+// Checks that every node stores the largest end point of its subtree
+function checkMax(tree) {
+  let valid = true;
+  const walk = (node) => {
+    if (node === null) return -Infinity;
+    const max = Math.max(node.value[1], walk(node.left), walk(node.right));
+    valid = valid && node.max === max;
+    return max;
+  };
+  walk(tree._root);
+  expect(valid).toBe(true);
+}
+
+const random = makeRandom(42);
+const cases = Array.from({ length: 30 }, (_, i) => {
+  const max = 10 + i * 10;
+  return [
+    randomValues(random, 1 + Math.floor(random() * max), max),
+    randomValues(random, 1 + Math.floor(random() * max), max),
+  ];
+});
+
+test("Test case 1: One comparator orders building, insertion and search", () => {
+  const words = new Tree(["pear", "apple", "fig", "apple", "kiwi"]);
+  words.insert("banana");
+  words.deleteItem("fig");
+  expect(valuesOf(words)).toEqual(["apple", "banana", "kiwi", "pear"]);
+  expect(words.find("kiwi").value).toBe("kiwi");
+  expect(words.find("fig")).toBeNull();
+
+  // Numbers are compared as numbers, not as strings
+  expect(valuesOf(new Tree([10, 9, 100, 9]))).toEqual([9, 10, 100]);
+
+  const day = (d) => new Date(2024, 0, d);
+  const dates = new Tree([day(3), day(1), day(2), day(1)]);
+  dates.insert(day(4));
+  dates.deleteItem(day(2));
+  expect(valuesOf(dates).map((d) => d.getDate())).toEqual([1, 3, 4]);
+  expect(dates.find(day(3))).not.toBeNull();
+});
+
+test("Test case 2: Records keyed by a field use their comparator everywhere", () => {
+  const byId = (a, b) => a.id - b.id;
+  const records = new Tree(
+    [
+      { id: 3, name: "c" },
+      { id: 1, name: "a" },
+      { id: 3, name: "duplicate" },
+      { id: 2, name: "b" },
+    ],
+    { compare: byId }
+  );
+  expect(valuesOf(records).map((r) => r.id)).toEqual([1, 2, 3]);
+
+  records.insert({ id: 0, name: "z" });
+  records.insert({ id: 2, name: "ignored" }); // Equal ids are duplicates
+  records.deleteItem({ id: 3 });
+  expect(valuesOf(records).map((r) => r.name)).toEqual(["z", "a", "b"]);
+  expect(records.find({ id: 2 }).value.name).toBe("b");
+  expect(records.find({ id: 3 })).toBeNull();
+
+  const descending = new Tree([1, 3, 2], { compare: (a, b) => b - a });
+  expect(valuesOf(descending)).toEqual([3, 2, 1]);
+  expect(() => new Tree([1], { compare: "desc" })).toThrow(
+    "Comparator must be a function"
+  );
+});
+
+test("Test case 3: Rotations keep the tree AVL-balanced through inserts and deletes", () => {
+  // Returns the real height of a subtree after checking every stored height
+  const checkAvl = (node) => {
+    if (node === null) return -1;
+    const left = checkAvl(node.left);
+    const right = checkAvl(node.right);
+    expect(Math.abs(left - right)).toBeLessThanOrEqual(1);
+    expect(node.height).toBe(Math.max(left, right) + 1);
+    return node.height;
+  };
+
+  // Ascending, descending and zigzag orders need all four rotation cases
+  const random = makeRandom(3);
+  const n = 500;
+  const orders = [
+    Array.from({ length: n }, (_, i) => i),
+    Array.from({ length: n }, (_, i) => n - i),
+    Array.from({ length: n }, (_, i) => (i % 2 === 0 ? i : n * 2 - i)),
+    randomValues(random, n, n * 4),
+  ];
+  for (const order of orders) {
+    const tree = new Tree([order[0]]);
+    for (const v of order) {
+      tree.insert(v);
+      expect(tree.isBalanced()).toBe(true);
+    }
+    checkAvl(tree._root);
+    expect(tree.height()).toBe(tree._root.height);
+    expect(tree.height()).toBeLessThan(1.45 * Math.log2(n + 2));
+
+    const expected = model(order);
+    const removed = randomValues(random, n - 1, n * 2);
+    for (const v of removed) {
+      tree.deleteItem(v);
+      expect(tree.isBalanced()).toBe(true);
+    }
+    checkAvl(tree._root);
+    expect(valuesOf(tree)).toEqual(
+      expected.filter((v) => !removed.includes(v))
+    );
+  }
+});
+
+test("Test case 4: Order statistics and range queries match the array model", () => {
+  for (const [a, b] of cases) {
+    const tree = new Tree(a);
+    const sorted = model(a);
+    const below = (v) => sorted.filter((x) => x < v);
+    const above = (v) => sorted.filter((x) => x > v);
+    const valueOf = (node) => (node === null ? null : node.value);
+
+    expect(tree.count()).toBe(sorted.length);
+    expect(tree.min().value).toBe(sorted[0]);
+    expect(tree.max().value).toBe(sorted[sorted.length - 1]);
+    sorted.forEach((v, i) => expect(tree.select(i).value).toBe(v));
+    expect(() => tree.select(sorted.length)).toThrow("Index out of bound");
+    expect(() => tree.select(0.5)).toThrow("Index must be an integer >= 0");
+
+    for (const v of b) {
+      const lower = below(v);
+      const higher = above(v);
+      expect(tree.rank(v)).toBe(lower.length);
+      const found = sorted.includes(v) ? [v] : [];
+      expect(valueOf(tree.floor(v))).toBe([...lower, ...found].pop() ?? null);
+      expect(valueOf(tree.ceiling(v))).toBe([...found, ...higher][0] ?? null);
+      expect(valueOf(tree.predecessor(v))).toBe(lower.pop() ?? null);
+      expect(valueOf(tree.successor(v))).toBe(higher[0] ?? null);
+
+      const [lo, hi] = [v, v + b.length];
+      const inRange = sorted.filter((x) => x >= lo && x <= hi);
+      expect(tree.range(lo, hi)).toEqual(inRange);
+      expect(tree.count(lo, hi)).toBe(inRange.length);
+      expect(tree.count(hi, lo)).toBe(0);
+    }
+  }
+});
+
+test("Test case 5: Generator traversals are lazy, iterative and can stop early", () => {
+  const tree = new Tree([1, 2, 3, 4, 5, 6, 7]);
+  const values = (nodes) => [...nodes].map((node) => node.value);
+
+  expect([...tree]).toEqual([1, 2, 3, 4, 5, 6, 7]);
+  expect(values(tree.inOrder())).toEqual([1, 2, 3, 4, 5, 6, 7]);
+  expect(values(tree.reverseInOrder())).toEqual([7, 6, 5, 4, 3, 2, 1]);
+  expect(values(tree.preOrder())).toEqual([4, 2, 1, 3, 6, 5, 7]);
+  expect(values(tree.postOrder())).toEqual([1, 3, 2, 5, 7, 6, 4]);
+  expect(values(tree.levelOrder())).toEqual([4, 2, 6, 1, 3, 5, 7]);
+
+  const visited = [];
+  tree.postOrderForEach((node) => visited.push(node.value));
+  expect(visited).toEqual(values(tree.postOrder()));
+  expect(() => tree.inOrderForEach(null)).toThrow("Expected a function");
+
+  const seen = [];
+  for (const value of tree) {
+    if (value > 3) break;
+    seen.push(value);
+  }
+  expect(seen).toEqual([1, 2, 3]);
+  const iterator = tree.levelOrder();
+  expect(iterator.next().value.value).toBe(4);
+
+  // A hand-built chain this deep would overflow a recursive traversal
+  const deep = new Tree([0]);
+  let node = deep._root;
+  for (let i = 1; i <= 100000; i++) {
+    node.left = new Node(-i);
+    node = node.left;
+  }
+  for (const traversal of ["inOrder", "preOrder", "postOrder", "levelOrder"]) {
+    let count = 0;
+    for (const visited of deep[traversal]()) count += visited.value <= 0;
+    expect(count).toBe(100001);
+  }
+  expect(deep.reverseInOrder().next().value.value).toBe(0);
+});
+
+test("Test case 6: TreeMap and TreeMultiset share the balanced tree", () => {
+  const map = new TreeMap([
+    ["pear", 1],
+    ["apple", 2],
+    ["pear", 3], // Later pairs win
+  ]);
+  expect(map.set("fig", 4)).toBe(map);
+  map.set("apple", 5);
+  expect(map.size).toBe(3);
+  expect(map.get("pear")).toBe(3);
+  expect(map.get("kiwi")).toBeUndefined();
+  expect(map.has("fig")).toBe(true);
+  expect(map.delete("fig")).toBe(true);
+  expect(map.delete("fig")).toBe(false);
+  expect([...map]).toEqual([
+    ["apple", 5],
+    ["pear", 3],
+  ]);
+  expect([...map.keys()]).toEqual(["apple", "pear"]);
+  expect([...map.values()]).toEqual([5, 3]);
+  expect(() => new TreeMap([1, 2])).toThrow(
+    "Entries must be [key, value] pairs"
+  );
+
+  const readings = new TreeMultiset([3, 1, 3]);
+  readings.add(2, 2);
+  readings.add(3);
+  expect(readings.multiplicity(3)).toBe(3);
+  expect(readings.multiplicity(9)).toBe(0);
+  expect([...readings]).toEqual([1, 2, 2, 3, 3, 3]);
+  expect([...readings.entries()]).toEqual([
+    [1, 1],
+    [2, 2],
+    [3, 3],
+  ]);
+  expect(readings.count()).toBe(6);
+  expect(readings.select(4).value).toBe(3);
+  expect(readings.rank(3)).toBe(3);
+
+  expect(readings.remove(3, 2)).toBe(2);
+  expect(readings.remove(1, 5)).toBe(1);
+  expect(readings.remove(9)).toBe(0);
+  expect([...readings]).toEqual([2, 2, 3]);
+  expect(() => readings.add(4, 0)).toThrow(
+    "Occurrences must be a positive integer"
+  );
+});
+
+test("Test case 7: JSON and compact strings round-trip the exact shape", () => {
+  const shapeOf = (tree) => JSON.stringify(tree);
+  for (const [a] of cases) {
+    const tree = new Tree(a);
+    for (const v of a.slice(0, 5)) tree.deleteItem(v); // Uneven shapes too
+
+    const fromJSON = Tree.fromJSON(JSON.stringify(tree));
+    const fromString = Tree.deserialize(tree.serialize());
+    for (const copy of [fromJSON, fromString]) {
+      expect(shapeOf(copy)).toBe(shapeOf(tree));
+      expect(copy.height()).toBe(tree.height());
+      expect(copy.count()).toBe(tree.count());
+    }
+  }
+
+  const tree = new Tree([1, 2, 3, 4]);
+  expect(tree.serialize()).toBe("[2,1,null,null,3,null,4,null,null]");
+  const map = new TreeMap([
+    ["b", 2],
+    ["a", { nested: true }],
+  ]);
+  expect([...TreeMap.deserialize(map.serialize())]).toEqual([...map]);
+  expect([...TreeMap.fromJSON(map.toJSON())]).toEqual([...map]);
+  const multiset = new TreeMultiset([3, 1, 3]);
+  expect([...TreeMultiset.deserialize(multiset.serialize())]).toEqual([
+    1, 3, 3,
+  ]);
+  expect([...TreeMultiset.fromJSON(multiset.toJSON())]).toEqual([1, 3, 3]);
+  expect(Tree.deserialize("[null]").height()).toBe(-1);
+});
+
+test("Test case 8: Loading rejects malformed input; DOT and render return strings", () => {
+  expect(() => Tree.fromJSON({})).toThrow("Invalid tree JSON");
+  expect(() =>
+    Tree.fromJSON({ root: { value: 2, left: { value: 3 } } })
+  ).toThrow("Invalid tree: values are not in ascending order");
+  expect(() => Tree.deserialize("[1,null,2,null,3,null,null]")).toThrow(
+    "Invalid tree: subtree heights differ by more than 1"
+  );
+  expect(() => Tree.deserialize("[1,null]")).toThrow("unexpected end of input");
+  expect(() => Tree.deserialize("[1,null,null,2]")).toThrow("trailing tokens");
+  expect(() => TreeMap.deserialize("[5,null,null]")).toThrow(
+    "Invalid serialized tree: map entries must be [key, value] pairs"
+  );
+  expect(() => TreeMultiset.deserialize('[["a"],null,null]')).toThrow(
+    "Invalid serialized tree: multiset entries must be [value, count] pairs"
+  );
+  expect(() => TreeMultiset.deserialize('[["a",0],null,null]')).toThrow(
+    "Invalid tree: count must be a positive integer"
+  );
+
+  const tree = new Tree([1, 2, 3, 4]);
+  expect(tree.render()).toBe(
+    ["│       ┌── 4", "│   ┌── 3", "└── 2", "    └── 1"].join("\n")
+  );
+  const dot = tree.toDOT();
+  expect(dot.startsWith("digraph Tree {")).toBe(true);
+  expect(dot).toContain('n0 [label="2"];');
+  expect(dot).toContain("n0 -> n1;");
+  expect(dot).toContain("null0 [shape=point];"); // Missing left child of 3
+  expect(new Tree(['say "hi"']).toDOT()).toContain('label="say \\"hi\\""');
+});
+
+test("Test case 9: union() matches the array model", () => {
+  for (const [a, b] of cases) {
+    const result = new Tree(a).union(new Tree(b));
+    checkInvariants(result);
+    expect([...result]).toEqual(model([...a, ...b]));
+  }
+});
+
+test("Test case 10: intersection() matches the array model", () => {
+  for (const [a, b] of cases) {
+    const result = new Tree(a).intersection(new Tree(b));
+    checkInvariants(result);
+    expect([...result]).toEqual(model(a).filter((v) => b.includes(v)));
+  }
+});
+
+test("Test case 11: difference() matches the array model", () => {
+  for (const [a, b] of cases) {
+    const result = new Tree(a).difference(new Tree(b));
+    checkInvariants(result);
+    expect([...result]).toEqual(model(a).filter((v) => !b.includes(v)));
+  }
+});
+
+test("Test case 12: isSubsetOf() matches the array model", () => {
+  for (const [a, b] of cases) {
+    const tree = new Tree(a);
+    expect(tree.isSubsetOf(new Tree(b))).toBe(a.every((v) => b.includes(v)));
+    expect(tree.isSubsetOf(tree.union(new Tree(b)))).toBe(true);
+  }
+});
+
+test("Test case 13: split() and join() match the array model", () => {
+  for (const [a] of cases) {
+    const values = model(a);
+    const pivot = values[Math.floor(values.length / 2)] + 0.5;
+    const [left, right] = new Tree(a).split(pivot);
+    checkInvariants(left);
+    checkInvariants(right);
+    expect([...left]).toEqual(values.filter((v) => v < pivot));
+    expect([...right]).toEqual(values.filter((v) => v >= pivot));
+
+    const joined = Tree.join(left, right);
+    checkInvariants(joined);
+    expect([...joined]).toEqual(values);
+  }
+
+  const [left, right] = new Tree([1, 2, 3, 4, 5]).split(3);
+  expect([...left]).toEqual([1, 2]);
+  expect([...right]).toEqual([3, 4, 5]);
+  expect(() => Tree.join(right, left)).toThrow();
+});
+
+test("Test case 14: Set operations leave their inputs intact", () => {
+  for (const [a, b] of cases) {
+    const first = new Tree(a);
+    const second = new Tree(b);
+    const union = first.union(second);
+    const pivot = model(a)[0] + 1;
+    const [left, right] = first.split(pivot);
+
+    // Writes to any tree must not leak into the trees it shares nodes with
+    for (const v of model(b)) {
+      union.deleteItem(v);
+      left.insert(v);
+      right.deleteItem(v);
+      first.insert(v + 1);
+    }
+    second.insert(-1);
+
+    [first, second, union, left, right].forEach(checkInvariants);
+    expect([...second]).toEqual(model([...b, -1]));
+    expect([...first]).toEqual(model([...a, ...b.map((v) => v + 1)]));
+    expect([...union]).toEqual(model(a).filter((v) => !b.includes(v)));
+    expect([...left]).toEqual(model([...a.filter((v) => v < pivot), ...b]));
+    expect([...right]).toEqual(
+      model(a).filter((v) => v >= pivot && !b.includes(v))
+    );
+  }
+});
+
+test("Test case 15: Set operations require a matching comparator", () => {
+  const descending = new Tree([1, 2], { compare: (x, y) => y - x });
+  expect(() => new Tree([1]).union(descending)).toThrow(
+    "Trees must share the same comparator"
+  );
+  expect(() => new Tree([1]).union([1, 2])).toThrow("Expected a Tree");
+});
+
+test("Test case 16: TreeMap snapshots are persistent maps", () => {
+  const map = new TreeMap([
+    ["b", 2],
+    ["a", 1],
+  ]);
+  const snapshot = map.snapshot();
+  map.set("c", 3).set("a", 10);
+  map.delete("b");
+
+  expect(snapshot).toBeInstanceOf(PersistentTreeMap);
+  expect(snapshot).toBeInstanceOf(TreeMap);
+  expect(snapshot.get("a")).toBe(1);
+  expect([...snapshot.entries()]).toEqual([
+    ["a", 1],
+    ["b", 2],
+  ]);
+  expect([...map]).toEqual([
+    ["a", 10],
+    ["c", 3],
+  ]);
+
+  const next = snapshot.set("z", 26).delete("a");
+  expect([...next.keys()]).toEqual(["b", "z"]);
+  expect(next.size).toBe(2);
+  expect([...snapshot.keys()]).toEqual(["a", "b"]);
+
+  const editable = next.toTree();
+  expect(editable).not.toBeInstanceOf(PersistentTreeMap);
+  expect(editable.set("y", 25)).toBe(editable);
+  expect([...next.keys()]).toEqual(["b", "z"]);
+});
+
+test("Test case 17: TreeMultiset snapshots keep multiplicities", () => {
+  const readings = new TreeMultiset([3, 1, 3]);
+  const snapshot = readings.snapshot();
+  readings.add(3, 2);
+  readings.remove(1);
+
+  expect(snapshot).toBeInstanceOf(PersistentTreeMultiset);
+  expect([...snapshot]).toEqual([1, 3, 3]);
+  expect([...snapshot.entries()]).toEqual([
+    [1, 1],
+    [3, 2],
+  ]);
+  expect(snapshot.count()).toBe(3);
+  expect(snapshot.multiplicity(3)).toBe(2);
+  expect([...readings]).toEqual([3, 3, 3, 3]);
+
+  const fewer = snapshot.remove(3).remove(1).add(5, 2);
+  expect([...fewer]).toEqual([3, 5, 5]);
+  expect([...snapshot.remove(3, 5)]).toEqual([1]);
+  expect([...snapshot]).toEqual([1, 3, 3]);
+  expect(() => snapshot.add(1, 0)).toThrow("positive integer");
+});
+
+test("Test case 18: Trees can start empty and copy any iterable", () => {
+  const empty = new Tree();
+  expect([...empty]).toEqual([]);
+  expect(empty.height()).toBe(-1);
+  empty.insert(1);
+  expect([...empty]).toEqual([1]);
+  expect(new TreeMap().size).toBe(0);
+  expect(new TreeMultiset().count()).toBe(0);
+
+  const input = [3, 1, 2, 1];
+  new Tree(input);
+  new TreeMultiset(input);
+  expect(input).toEqual([3, 1, 2, 1]); // Not sorted in place
+
+  const source = new Set([5, 3, 4]);
+  expect([...new Tree(source)]).toEqual([3, 4, 5]);
+  expect([...source]).toEqual([5, 3, 4]);
+  function* generate() {
+    yield* ["b", "c", "a"];
+  }
+  expect([...new Tree(generate())]).toEqual(["a", "b", "c"]);
+  expect([...new TreeMap(new Map([["k", 1]]))]).toEqual([["k", 1]]);
+  expect(() => new Tree(42)).toThrow("Input must be iterable");
+});
+
+test("Test case 19: Large insertMany() and deleteMany() batches match the array model", () => {
+  for (const [a, b] of cases) {
+    for (const scale of [1, 20]) {
+      // Scaled-up batches take the single-rebuild path
+      const batch = b.flatMap((v) => Array.from({ length: scale }, () => v));
+      const tree = new Tree(a);
+      tree.insertMany(new Set(batch));
+      checkInvariants(tree);
+      expect([...tree]).toEqual(model([...a, ...batch]));
+
+      tree.deleteMany(batch);
+      checkInvariants(tree);
+      expect([...tree]).toEqual(model(a).filter((v) => !batch.includes(v)));
+
+      const counts = new TreeMultiset(a);
+      counts.insertMany(batch);
+      expect([...counts]).toEqual([...a, ...batch].sort((x, y) => x - y));
+      expect(counts.count()).toBe(a.length + batch.length);
+    }
+  }
+
+  const tree = new Tree([1, 2, 3]);
+  tree.clear();
+  expect([...tree]).toEqual([]);
+  expect(() => tree.insertMany(5)).toThrow("Input must be iterable");
+});
+
+test("Test case 20: PersistentTree writes return new versions", () => {
+  for (const [a, b] of cases) {
+    const v0 = new PersistentTree(a);
+    let latest = v0;
+    for (const v of b) latest = latest.insert(v);
+    const trimmed = latest.deleteMany(a);
+
+    [v0, latest, trimmed].forEach(checkInvariants);
+    expect([...v0]).toEqual(model(a));
+    expect([...latest]).toEqual(model([...a, ...b]));
+    expect([...trimmed]).toEqual(model(b).filter((v) => !a.includes(v)));
+    expect(latest.version).toBe(b.length);
+  }
+
+  const v0 = new PersistentTree([1, 2, 3]);
+  const v1 = v0.deleteItem(2).insertMany([5, 4]);
+  expect([...v0]).toEqual([1, 2, 3]);
+  expect([...v1]).toEqual([1, 3, 4, 5]);
+  expect(v1.snapshot()).toBe(v1);
+});
+
+test("Test case 21: PersistentTree.clear() returns an empty version", () => {
+  const v0 = new PersistentTree([1, 2, 3]);
+  const cleared = v0.clear();
+
+  expect([...cleared]).toEqual([]);
+  expect(cleared.count()).toBe(0);
+  expect(cleared.version).toBe(v0.version + 1);
+  expect([...v0]).toEqual([1, 2, 3]);
+  expect(v0.count()).toBe(3);
+  expect([...cleared.insert(7)]).toEqual([7]);
+});
+
+test("Test case 22: snapshot() and toTree() isolate later writes", () => {
+  for (const [a, b] of cases) {
+    const tree = new Tree(a);
+    const snapshot = tree.snapshot();
+    for (const v of b) tree.insert(v);
+    tree.deleteMany(a);
+
+    [tree, snapshot].forEach(checkInvariants);
+    expect([...snapshot]).toEqual(model(a));
+    expect([...tree]).toEqual(model(b).filter((v) => !a.includes(v)));
+
+    const copy = snapshot.toTree();
+    copy.clear();
+    expect([...copy]).toEqual([]);
+    expect([...snapshot]).toEqual(model(a));
+  }
+});
+
+test("Test case 23: Interval queries match the array model", () => {
+  const random = makeRandom(7);
+  const tree = new IntervalTree();
+  let intervals = [];
+
+  for (let i = 0; i < 2000; i++) {
+    const start = Math.floor(random() * 500);
+    const interval = [start, start + Math.floor(random() * 40)];
+    const same = ([s, e]) => s === interval[0] && e === interval[1];
+    if (random() < 0.7) {
+      tree.insert(interval);
+      if (!intervals.some(same)) intervals.push(interval);
+    } else if (intervals.length > 0) {
+      const removed = intervals[Math.floor(random() * intervals.length)];
+      tree.deleteItem(removed);
+      intervals = intervals.filter((x) => x !== removed);
+    }
+  }
+  checkMax(tree);
+  expect(tree.count()).toBe(intervals.length);
+  expect(tree.isBalanced()).toBe(true);
+
+  const byStart = (a, b) => a[0] - b[0] || a[1] - b[1];
+  for (let q = 0; q < 200; q++) {
+    const lo = Math.floor(random() * 600) - 50;
+    const hi = lo + Math.floor(random() * 30);
+    const expected = intervals
+      .filter(([start, end]) => start <= hi && end >= lo)
+      .sort(byStart);
+    expect(tree.overlapping([lo, hi])).toEqual(expected);
+    expect(tree.stabbing(lo)).toEqual(
+      intervals.filter(([start, end]) => start <= lo && lo <= end).sort(byStart)
+    );
+  }
+});
+
+test("Test case 24: IntervalTree validates intervals and keeps its comparator", () => {
+  const bookings = new IntervalTree([
+    [9, 12],
+    [13, 15],
+  ]);
+  bookings.insert([11, 14]);
+  expect(bookings.overlapping([12, 13])).toEqual([
+    [9, 12],
+    [11, 14],
+    [13, 15],
+  ]);
+  expect(bookings.stabbing(10)).toEqual([[9, 12]]);
+
+  expect(() => new IntervalTree([[3, 1]])).toThrow("must not be after");
+  expect(() => new IntervalTree([[1]])).toThrow("[start, end] pair");
+  expect(() => bookings.overlapping([5, 4])).toThrow("must not be after");
+
+  const days = new IntervalTree([[new Date(0), new Date(5)]], {
+    compare: (a, b) => a - b,
+  });
+  expect(days.stabbing(new Date(3)).length).toBe(1);
+  expect(days.stabbing(new Date(6))).toEqual([]);
+
+  // Derived trees are interval trees that keep max up to date
+  const [, after] = bookings.split([11, 14]);
+  expect(after).toBeInstanceOf(IntervalTree);
+  checkMax(after);
+  expect(after.stabbing(14)).toEqual([
+    [11, 14],
+    [13, 15],
+  ]);
+  const union = bookings.union(new IntervalTree([[20, 30]]));
+  expect(union.stabbing(25)).toEqual([[20, 30]]);
+});
+
+test("Test case 25: IntervalTree snapshots are persistent interval trees", () => {
+  const bookings = new IntervalTree([[9, 12]]);
+  const snapshot = bookings.snapshot();
+  bookings.insert([10, 20]);
+
+  expect(snapshot).toBeInstanceOf(PersistentIntervalTree);
+  expect(snapshot.stabbing(15)).toEqual([]);
+  const next = snapshot.insert([14, 16]);
+  expect(next.stabbing(15)).toEqual([[14, 16]]);
+  expect(snapshot.stabbing(15)).toEqual([]);
+  checkMax(next);
+  expect(bookings.stabbing(15)).toEqual([[10, 20]]);
+});
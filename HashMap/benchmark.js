@@ -0,0 +1,83 @@
+/**
+ * Micro-benchmark comparing HashMap storage strategies
+ *
+ * Usage: node HashMap/benchmark.js [entries]
+ *
+ * Measures wall time for inserting, looking up (hits and misses) and
+ * removing `entries` string keys with each strategy, plus the heap growth
+ * left behind by the populated map (run with --expose-gc for steadier
+ * memory numbers).
+ */
+
+const { HashMap } = require("./hashMap.js");
+
+const ENTRIES = Number(process.argv[2]) || 200000;
+
+/**
+ * Runs a function and returns elapsed milliseconds
+ * @param {Function} fn - Work to time
+ * @returns {number} Elapsed time in milliseconds
+ */
+function time(fn) {
+  const start = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+/**
+ * Returns current heap usage, collecting garbage first when possible
+ * @returns {number} Heap bytes in use
+ */
+function heapUsed() {
+  if (global.gc) global.gc();
+  return process.memoryUsage().heapUsed;
+}
+
+/**
+ * Benchmarks one strategy
+ * @param {string} strategy - HashMap strategy name
+ * @param {Array<string>} keys - Keys to insert
+ * @returns {Object} Timings in ms and heap growth in MB
+ */
+function run(strategy, keys) {
+  const heapBefore = heapUsed();
+  const map = new HashMap({ strategy });
+  const result = { strategy };
+
+  result.set = time(() => {
+    for (let i = 0; i < keys.length; i++) map.set(keys[i], i);
+  });
+  result.heapMB = (heapUsed() - heapBefore) / 1024 / 1024;
+  result.getHit = time(() => {
+    for (let i = 0; i < keys.length; i++) map.get(keys[i]);
+  });
+  result.getMiss = time(() => {
+    for (let i = 0; i < keys.length; i++) map.get(`miss-${i}`);
+  });
+  result.remove = time(() => {
+    for (let i = 0; i < keys.length; i++) map.remove(keys[i]);
+  });
+
+  if (map.length() !== 0) throw new Error(`${strategy}: map not emptied`);
+  return result;
+}
+
+const keys = Array.from({ length: ENTRIES }, (_, i) => `key-${i}`);
+
+run("chained", keys.slice(0, 1000)); // Warm up the JIT for both paths
+run("open", keys.slice(0, 1000));
+const results = Object.keys(HashMap.strategies).map((strategy) =>
+  run(strategy, keys)
+);
+
+console.log(`HashMap strategies, ${ENTRIES} entries`);
+console.table(
+  results.map((r) => ({
+    strategy: r.strategy,
+    "set (ms)": r.set.toFixed(1),
+    "get hit (ms)": r.getHit.toFixed(1),
+    "get miss (ms)": r.getMiss.toFixed(1),
+    "remove (ms)": r.remove.toFixed(1),
+    "heap (MB)": r.heapMB.toFixed(1),
+  }))
+);
@@ -0,0 +1,222 @@
+/**
+ * Bidirectional map backed by two HashMaps
+ *
+ * Features:
+ * - One-to-one mapping: every value belongs to exactly one key, so values
+ *   can be looked up as fast as keys
+ * - inverse() returns a live view with keys and values swapped
+ * - Separate HashMap options (hash/equals, strategy, ...) for keys and values
+ *
+ * Time Complexity:
+ * - Average: O(1) for set, get, getKey, delete, deleteValue
+ */
+
+const { HashMap, isIterable, forEachEntry } = require("./hashMap.js");
+
+/**
+ * Map whose values are unique, supporting lookup in both directions
+ */
+class BiMap {
+  /**
+   * Creates a new BiMap
+   * @param {Iterable<Array>} [entries] - Initial [key, value] pairs
+   * @param {Object} [options] - Options
+   * @param {number|Object} [options.keyOptions] - HashMap options for keys
+   * @param {number|Object} [options.valueOptions] - HashMap options for values
+   * @throws {Error} If two entries share a value
+   * @example
+   * const slugs = new BiMap([[1, "intro"], [2, "setup"]]);
+   * slugs.getKey("setup"); // 2
+   * slugs.inverse().get("intro"); // 1
+   */
+  constructor(entries, options = {}) {
+    if (!isIterable(entries)) {
+      options = entries === undefined ? {} : entries;
+      entries = [];
+    }
+
+    const { keyOptions, valueOptions } = options;
+    this._forward = new HashMap(keyOptions); // Key -> value
+    this._backward = new HashMap(valueOptions); // Value -> key
+    this._inverse = null; // Lazily created inverse view
+
+    forEachEntry(entries, (key, value) => this.set(key, value));
+  }
+
+  /**
+   * Adds or updates a key-value pair
+   * @param {*} key - The key
+   * @param {any} value - The value, which no other key may have
+   * @returns {BiMap} This map, for chaining
+   * @throws {Error} If the value already belongs to a different key
+   */
+  set(key, value) {
+    if (this._backward.has(value)) {
+      const owner = this._backward.get(value);
+      if (this._forward.has(key) && this._forward._equals(owner, key)) {
+        return this; // Same pair already present
+      }
+      throw new Error(
+        `Value ${String(value)} is already bound to key ${String(owner)}; ` +
+          "use forceSet() to rebind it"
+      );
+    }
+    return this.forceSet(key, value);
+  }
+
+  /**
+   * Adds or updates a key-value pair, first removing any other key that
+   * has the value
+   * @param {*} key - The key
+   * @param {any} value - The value
+   * @returns {BiMap} This map, for chaining
+   */
+  forceSet(key, value) {
+    this.deleteValue(value);
+    this.delete(key);
+    this._forward.set(key, value);
+    this._backward.set(value, key);
+    return this;
+  }
+
+  /**
+   * Retrieves the value of a key
+   * @param {*} key - The key to look up
+   * @returns {any|undefined} The value if found, undefined otherwise
+   */
+  get(key) {
+    return this._forward.get(key);
+  }
+
+  /**
+   * Retrieves the key that has a value
+   * @param {any} value - The value to look up
+   * @returns {*|undefined} The key if found, undefined otherwise
+   */
+  getKey(value) {
+    return this._backward.get(value);
+  }
+
+  /**
+   * Checks if a key exists
+   * @param {*} key - The key to check
+   * @returns {boolean} True if key exists
+   */
+  has(key) {
+    return this._forward.has(key);
+  }
+
+  /**
+   * Checks if some key has a value
+   * @param {any} value - The value to check
+   * @returns {boolean} True if value exists
+   */
+  hasValue(value) {
+    return this._backward.has(value);
+  }
+
+  /**
+   * Removes a key and its value
+   * @param {*} key - The key to remove
+   * @returns {boolean} True if removed, false if key not found
+   */
+  delete(key) {
+    if (!this._forward.has(key)) return false;
+
+    this._backward.delete(this._forward.get(key));
+    return this._forward.delete(key);
+  }
+
+  /**
+   * Removes a value and its key
+   * @param {any} value - The value to remove
+   * @returns {boolean} True if removed, false if value not found
+   */
+  deleteValue(value) {
+    if (!this._backward.has(value)) return false;
+
+    this._forward.delete(this._backward.get(value));
+    return this._backward.delete(value);
+  }
+
+  /**
+   * Removes all pairs
+   */
+  clear() {
+    this._forward.clear();
+    this._backward.clear();
+  }
+
+  /**
+   * Number of key-value pairs
+   * @type {number}
+   */
+  get size() {
+    return this._forward.size;
+  }
+
+  /**
+   * Returns a view with keys and values swapped
+   * The view shares storage with this map, so changes through either one
+   * show up in both. inverse().inverse() is this map.
+   * @returns {BiMap} Inverse view
+   */
+  inverse() {
+    if (this._inverse === null) {
+      const inverse = Object.create(BiMap.prototype);
+      inverse._forward = this._backward;
+      inverse._backward = this._forward;
+      inverse._inverse = this;
+      this._inverse = inverse;
+    }
+    return this._inverse;
+  }
+
+  /**
+   * Iterates over keys, in HashMap key order
+   * @yields {*} Keys
+   */
+  *keys() {
+    yield* this._forward.keys();
+  }
+
+  /**
+   * Iterates over values, in the same order as keys()
+   * @yields {any} Values
+   */
+  *values() {
+    yield* this._forward.values();
+  }
+
+  /**
+   * Iterates over [key, value] pairs, in the same order as keys()
+   * @yields {Array} [key, value]
+   */
+  *entries() {
+    yield* this._forward.entries();
+  }
+
+  /**
+   * Iterates over [key, value] pairs
+   * @returns {Iterator<Array>} Same as entries()
+   */
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Calls a callback for every pair
+   * @param {Function} callback - Called with (value, key, map), as with Map
+   * @param {*} [thisArg] - Value to use as this when calling callback
+   */
+  forEach(callback, thisArg) {
+    if (typeof callback !== "function") {
+      throw new Error("forEach callback must be a function");
+    }
+    for (const [key, value] of this._forward) {
+      callback.call(thisArg, value, key, this);
+    }
+  }
+}
+
+module.exports = { BiMap };
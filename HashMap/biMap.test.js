@@ -0,0 +1,58 @@
+const { BiMap } = require("./biMap.js");
+
+test("Test case 1: BiMap looks up in both directions", () => {
+  const slugs = new BiMap([
+    [1, "intro"],
+    [2, "setup"],
+  ]);
+
+  expect(slugs.get(1)).toBe("intro");
+  expect(slugs.getKey("setup")).toBe(2);
+  expect(() => slugs.set(3, "intro")).toThrow("already bound to key 1");
+
+  // Rebinding a key frees its old value
+  slugs.set(1, "intro").set(1, "start");
+  expect(slugs.hasValue("intro")).toBe(false);
+  expect(slugs.getKey("start")).toBe(1);
+
+  // forceSet() evicts the key that held the value
+  slugs.forceSet(3, "setup");
+  expect(slugs.has(2)).toBe(false);
+  expect(slugs.getKey("setup")).toBe(3);
+  expect(slugs.size).toBe(2);
+  expect(() => new BiMap([1])).toThrow("Iterator value is not an entry object");
+});
+
+test("Test case 2: The inverse view shares the same entries", () => {
+  const slugs = new BiMap([
+    [1, "intro"],
+    [2, "setup"],
+  ]);
+  const bySlug = slugs.inverse();
+
+  expect(bySlug.get("intro")).toBe(1);
+  expect(bySlug.inverse()).toBe(slugs);
+  expect(slugs.inverse()).toBe(bySlug);
+
+  bySlug.set("faq", 9);
+  expect(slugs.get(9)).toBe("faq");
+  expect(() => bySlug.set("other", 9)).toThrow("already bound");
+  expect(bySlug.deleteValue(9)).toBe(true);
+  expect(slugs.has(9)).toBe(false);
+  expect([...bySlug.keys()].sort()).toEqual(["intro", "setup"]);
+
+  slugs.clear();
+  expect(bySlug.size).toBe(0);
+});
+
+test("Test case 3: Key and value options apply to each side", () => {
+  const byX = { hash: (p) => p.x, equals: (a, b) => a.x === b.x };
+  const points = new BiMap([], { keyOptions: byX });
+  points.set({ x: 1 }, "a").set({ x: 1 }, "a");
+  expect(points.size).toBe(1);
+  expect(points.getKey("a").x).toBe(1);
+
+  points.set({ x: 1 }, "b");
+  expect(points.size).toBe(1);
+  expect(points.hasValue("a")).toBe(false);
+});
@@ -0,0 +1,415 @@
+/**
+ * Bounded cache with least-recently-used eviction and time-to-live, built on
+ * HashMap
+ *
+ * Features:
+ * - HashMap lookup from key to entry, plus a doubly linked recency list so
+ *   get, set and eviction are all O(1)
+ * - Optional maximum entry count (least recently used entry evicted first)
+ * - Optional default and per-entry time-to-live, checked lazily on access,
+ *   with an injectable clock for tests
+ * - getOrCompute() for memoisation, sharing in-flight promises
+ * - Eviction callbacks and hit/miss/eviction counters
+ */
+
+const { HashMap } = require("./hashMap.js");
+
+/**
+ * Entry in the recency list
+ * The list is circular around a sentinel, so no link is ever null
+ */
+class CacheEntry {
+  /**
+   * @param {*} key - Cached key
+   * @param {any} value - Cached value
+   * @param {number} expiresAt - Clock time after which the entry is stale
+   */
+  constructor(key, value, expiresAt) {
+    this.key = key;
+    this.value = value;
+    this.expiresAt = expiresAt;
+    this.prev = this; // Toward more recently used entries
+    this.next = this; // Toward less recently used entries
+    this.removed = false; // Set once the entry leaves the cache
+  }
+}
+
+/**
+ * Cache mapping keys to values with LRU eviction and expiry
+ */
+class Cache {
+  /**
+   * Creates a new Cache
+   * @param {Object} [options] - Cache options; any other options (hash,
+   *   equals, strategy, ...) are passed to the underlying HashMap
+   * @param {number} [options.maxSize=Infinity] - Maximum number of entries
+   * @param {number} [options.ttl=Infinity] - Default time-to-live in clock
+   *   units (milliseconds with the default clock)
+   * @param {Function} [options.now=Date.now] - Clock returning the current time
+   * @param {Function} [options.onEvict] - Called with (key, value, reason)
+   *   when an entry is evicted; reason is "capacity" or "expired"
+   * @throws {Error} If maxSize or ttl is not positive, or now/onEvict are not
+   *   functions
+   * @example
+   * let time = 0;
+   * const cache = new Cache({ maxSize: 100, ttl: 1000, now: () => time });
+   * cache.getOrCompute("user:1", loadUser);
+   */
+  constructor(options = {}) {
+    const {
+      maxSize = Infinity,
+      ttl = Infinity,
+      now = Date.now,
+      onEvict = null,
+      ...mapOptions
+    } = options;
+
+    if (maxSize !== Infinity && (!Number.isInteger(maxSize) || maxSize < 1)) {
+      throw new Error("maxSize must be a positive integer or Infinity");
+    }
+    Cache._checkTtl(ttl);
+    if (typeof now !== "function") {
+      throw new Error("now must be a function");
+    }
+    if (onEvict !== null && typeof onEvict !== "function") {
+      throw new Error("onEvict must be a function");
+    }
+
+    this._map = new HashMap(mapOptions); // Key -> CacheEntry
+    this._head = new CacheEntry(undefined, undefined, Infinity); // Sentinel
+    this._maxSize = maxSize;
+    this._ttl = ttl;
+    this._now = now;
+    this._onEvict = onEvict;
+    this._hits = 0;
+    this._misses = 0;
+    this._evictions = 0;
+  }
+
+  /**
+   * Validates a time-to-live
+   * @param {number} ttl - Time-to-live to check
+   * @throws {Error} If ttl is not a positive number
+   */
+  static _checkTtl(ttl) {
+    if (typeof ttl !== "number" || !(ttl > 0)) {
+      throw new Error("ttl must be a positive number or Infinity");
+    }
+  }
+
+  /**
+   * Unlinks an entry from the recency list
+   * @param {CacheEntry} entry - Entry to unlink
+   */
+  _unlink(entry) {
+    entry.prev.next = entry.next;
+    entry.next.prev = entry.prev;
+  }
+
+  /**
+   * Links an entry in as the most recently used
+   * @param {CacheEntry} entry - Entry to link
+   */
+  _linkFirst(entry) {
+    entry.prev = this._head;
+    entry.next = this._head.next;
+    this._head.next.prev = entry;
+    this._head.next = entry;
+  }
+
+  /**
+   * Moves an entry to the front of the recency list
+   * @param {CacheEntry} entry - Entry that was just used
+   */
+  _touch(entry) {
+    this._unlink(entry);
+    this._linkFirst(entry);
+  }
+
+  /**
+   * Checks whether an entry has outlived its time-to-live
+   * @param {CacheEntry} entry - Entry to check
+   * @returns {boolean} True if expired
+   */
+  _isExpired(entry) {
+    return this._now() >= entry.expiresAt;
+  }
+
+  /**
+   * Removes an entry from the map and the recency list
+   * The entry keeps its own links, so an iterator paused before it can
+   * still move on
+   * @param {CacheEntry} entry - Entry to remove
+   */
+  _remove(entry) {
+    this._map.delete(entry.key);
+    this._unlink(entry);
+    entry.removed = true;
+  }
+
+  /**
+   * Removes an entry and reports it as evicted
+   * @param {CacheEntry} entry - Entry to evict
+   * @param {string} reason - "capacity" or "expired"
+   */
+  _evict(entry, reason) {
+    this._remove(entry);
+    this._evictions++;
+    if (this._onEvict) this._onEvict(entry.key, entry.value, reason);
+  }
+
+  /**
+   * Finds the live entry for a key, evicting it if it has expired
+   * @param {*} key - The key to look up
+   * @returns {CacheEntry|undefined} The entry, or undefined if absent
+   */
+  _liveEntry(key) {
+    const entry = this._map.get(key);
+    if (entry === undefined) return undefined;
+    if (this._isExpired(entry)) {
+      this._evict(entry, "expired");
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Retrieves a value and marks it as most recently used
+   * Counts a hit or a miss
+   * @param {*} key - The key to look up
+   * @returns {any|undefined} The value if cached and fresh, undefined otherwise
+   */
+  get(key) {
+    const entry = this._liveEntry(key);
+    if (entry === undefined) {
+      this._misses++;
+      return undefined;
+    }
+
+    this._hits++;
+    this._touch(entry);
+    return entry.value;
+  }
+
+  /**
+   * Finds the entry for a key if it is still fresh
+   * Unlike _liveEntry, an expired entry is left for prune() or the next
+   * get() to evict
+   * @param {*} key - The key to look up
+   * @returns {CacheEntry|undefined} The entry, or undefined if absent or stale
+   */
+  _freshEntry(key) {
+    const entry = this._map.get(key);
+    return entry === undefined || this._isExpired(entry) ? undefined : entry;
+  }
+
+  /**
+   * Retrieves a value without touching recency or the counters
+   * Never evicts, not even an expired entry
+   * @param {*} key - The key to look up
+   * @returns {any|undefined} The value if cached and fresh, undefined otherwise
+   */
+  peek(key) {
+    const entry = this._freshEntry(key);
+    return entry === undefined ? undefined : entry.value;
+  }
+
+  /**
+   * Checks if a fresh entry exists, without touching recency or the counters
+   * Never evicts, not even an expired entry
+   * @param {*} key - The key to check
+   * @returns {boolean} True if key is cached and fresh
+   */
+  has(key) {
+    return this._freshEntry(key) !== undefined;
+  }
+
+  /**
+   * Adds or replaces an entry as the most recently used
+   * Evicts the least recently used entry if the cache is full
+   * @param {*} key - The key to cache
+   * @param {any} value - The value to cache
+   * @param {Object} [options] - Per-entry options
+   * @param {number} [options.ttl] - Time-to-live overriding the default
+   * @returns {Cache} This cache, for chaining
+   * @throws {Error} If ttl is not a positive number
+   */
+  set(key, value, options = {}) {
+    const { ttl = this._ttl } = options;
+    Cache._checkTtl(ttl);
+    const expiresAt = this._now() + ttl;
+
+    const existing = this._map.get(key);
+    if (existing !== undefined) {
+      existing.value = value;
+      existing.expiresAt = expiresAt;
+      this._touch(existing);
+      return this;
+    }
+
+    if (this._map.size >= this._maxSize) {
+      this._evict(this._head.prev, "capacity");
+    }
+
+    const entry = new CacheEntry(key, value, expiresAt);
+    this._map.set(key, entry);
+    this._linkFirst(entry);
+    return this;
+  }
+
+  /**
+   * Returns the cached value, or computes, caches and returns it on a miss
+   * If fn returns a promise, the promise itself is cached so concurrent
+   * callers share one computation; it is dropped again if it rejects.
+   * @param {*} key - The key to look up
+   * @param {Function} fn - Called with (key) to compute a missing value
+   * @param {Object} [options] - Per-entry options passed to set()
+   * @returns {any} The cached or computed value
+   */
+  getOrCompute(key, fn, options) {
+    const entry = this._liveEntry(key);
+    if (entry !== undefined) {
+      this._hits++;
+      this._touch(entry);
+      return entry.value;
+    }
+
+    this._misses++;
+    const value = fn(key);
+    this.set(key, value, options);
+
+    if (value instanceof Promise) {
+      value.catch(() => {
+        // Only drop the entry if it still holds this promise
+        const current = this._map.get(key);
+        if (current !== undefined && current.value === value) {
+          this.delete(key);
+        }
+      });
+    }
+    return value;
+  }
+
+  /**
+   * Removes an entry (not reported as an eviction)
+   * @param {*} key - The key to remove
+   * @returns {boolean} True if removed, false if key not found
+   */
+  delete(key) {
+    const entry = this._map.get(key);
+    if (entry === undefined) return false;
+
+    this._remove(entry);
+    return true;
+  }
+
+  /**
+   * Removes all entries (not reported as evictions)
+   */
+  clear() {
+    // Mark entries first, so paused iterators stop yielding them
+    let entry = this._head.next;
+    while (entry !== this._head) {
+      entry.removed = true;
+      entry = entry.next;
+    }
+    this._map.clear();
+    this._head.prev = this._head.next = this._head;
+  }
+
+  /**
+   * Evicts every expired entry
+   * Expiry is otherwise only noticed when an entry is accessed
+   * @returns {number} Number of entries evicted
+   */
+  prune() {
+    let evicted = 0;
+    let entry = this._head.next;
+    while (entry !== this._head) {
+      const next = entry.next;
+      if (this._isExpired(entry)) {
+        this._evict(entry, "expired");
+        evicted++;
+      }
+      entry = next;
+    }
+    return evicted;
+  }
+
+  /**
+   * Number of entries, including expired ones not yet pruned
+   * @type {number}
+   */
+  get size() {
+    return this._map.size;
+  }
+
+  /**
+   * Reports cache effectiveness
+   * @returns {Object} { hits, misses, evictions, hitRate, size }, where
+   *   hitRate is hits / (hits + misses), or 0 before any lookup
+   */
+  stats() {
+    const lookups = this._hits + this._misses;
+    return {
+      hits: this._hits,
+      misses: this._misses,
+      evictions: this._evictions,
+      hitRate: lookups === 0 ? 0 : this._hits / lookups,
+      size: this.size,
+    };
+  }
+
+  /**
+   * Resets the hit, miss and eviction counters to zero
+   */
+  resetStats() {
+    this._hits = this._misses = this._evictions = 0;
+  }
+
+  /**
+   * Iterates over fresh [key, value] pairs from most to least recently used
+   * Does not touch recency or the counters. Entries removed during
+   * iteration are not visited; entries used meanwhile move to the front
+   * and may be visited again.
+   * @yields {Array} [key, value]
+   */
+  *entries() {
+    let entry = this._head.next;
+    while (entry !== this._head) {
+      // Read first: using the entry moves it to the front. Removed entries
+      // keep their links, so the walk continues past them.
+      const next = entry.next;
+      if (!entry.removed && !this._isExpired(entry)) {
+        yield [entry.key, entry.value];
+      }
+      entry = next;
+    }
+  }
+
+  /**
+   * Iterates over fresh keys from most to least recently used
+   * @yields {*} Keys
+   */
+  *keys() {
+    for (const [key] of this.entries()) yield key;
+  }
+
+  /**
+   * Iterates over fresh values from most to least recently used
+   * @yields {any} Values
+   */
+  *values() {
+    for (const [, value] of this.entries()) yield value;
+  }
+
+  /**
+   * Iterates over fresh [key, value] pairs, same as entries()
+   * @returns {Iterator<Array>} Entry iterator
+   */
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+module.exports = { Cache };
@@ -0,0 +1,135 @@
+const { Cache } = require("./cache.js");
+
+test("Test case 1: Cache evicts the least recently used entry", () => {
+  const evicted = [];
+  const cache = new Cache({
+    maxSize: 3,
+    onEvict: (key, value, reason) => evicted.push([key, value, reason]),
+  });
+  cache.set("a", 1).set("b", 2).set("c", 3);
+  cache.get("a");
+  cache.peek("b"); // peek() and has() do not count as use
+  cache.has("b");
+  cache.set("d", 4);
+
+  expect(evicted).toEqual([["b", 2, "capacity"]]);
+  expect([...cache.keys()]).toEqual(["d", "a", "c"]);
+  expect(cache.delete("d")).toBe(true);
+  expect(cache.delete("d")).toBe(false);
+  cache.clear();
+  expect(cache.size).toBe(0);
+  expect(evicted.length).toBe(1); // delete() and clear() are not evictions
+});
+
+test("Test case 2: Cache matches an LRU model", () => {
+  let seed = 1;
+  const random = () => (seed = (seed * 48271) % 2147483647) / 2147483647;
+  const cache = new Cache({ maxSize: 50, strategy: "open" });
+  const model = []; // [key, value] pairs, most recently used first
+
+  for (let i = 0; i < 5000; i++) {
+    const key = Math.floor(random() * 120);
+    const index = model.findIndex(([k]) => k === key);
+    if (random() < 0.5) {
+      expect(cache.get(key)).toBe(index >= 0 ? model[index][1] : undefined);
+      if (index >= 0) model.unshift(...model.splice(index, 1));
+    } else {
+      cache.set(key, i);
+      if (index >= 0) model.splice(index, 1);
+      model.unshift([key, i]);
+      if (model.length > 50) model.pop();
+    }
+  }
+  expect([...cache]).toEqual(model);
+});
+
+test("Test case 3: Entries expire after their time-to-live", () => {
+  let time = 0;
+  const evicted = [];
+  const cache = new Cache({
+    ttl: 100,
+    now: () => time,
+    onEvict: (key, value, reason) => evicted.push([key, reason]),
+  });
+  cache.set("short", 1).set("long", 2, { ttl: 500 });
+
+  time = 99;
+  expect(cache.get("short")).toBe(1);
+  time = 100; // Stale once the ttl has elapsed
+  expect(cache.has("short")).toBe(false);
+  expect(cache.peek("short")).toBeUndefined();
+  expect(cache.size).toBe(2); // has() and peek() never evict
+  expect(cache.stats().evictions).toBe(0);
+  expect(cache.get("short")).toBeUndefined();
+  expect(cache.size).toBe(1);
+  expect(cache.get("long")).toBe(2);
+
+  cache.set("other", 3);
+  time = 300;
+  expect(cache.prune()).toBe(1);
+  expect([...cache]).toEqual([["long", 2]]);
+  expect(evicted).toEqual([
+    ["short", "expired"],
+    ["other", "expired"],
+  ]);
+
+  expect(() => new Cache({ maxSize: 0 })).toThrow("maxSize");
+  expect(() => cache.set(1, 1, { ttl: 0 })).toThrow("ttl");
+  expect(() => new Cache({ now: 5 })).toThrow("now must be a function");
+});
+
+test("Test case 4: getOrCompute() memoises and shares promises", async () => {
+  const cache = new Cache();
+  const compute = jest.fn((key) => `${key}!`);
+  expect(cache.getOrCompute("x", compute)).toBe("x!");
+  expect(cache.getOrCompute("x", compute)).toBe("x!");
+  expect(compute).toHaveBeenCalledTimes(1);
+  expect(cache.stats()).toEqual({
+    hits: 1,
+    misses: 1,
+    evictions: 0,
+    hitRate: 0.5,
+    size: 1,
+  });
+  cache.resetStats();
+  expect(cache.stats().hitRate).toBe(0);
+
+  const load = jest.fn(() => Promise.resolve(42));
+  const first = cache.getOrCompute("answer", load);
+  expect(cache.getOrCompute("answer", load)).toBe(first);
+  await expect(first).resolves.toBe(42);
+  expect(load).toHaveBeenCalledTimes(1);
+
+  const failed = cache.getOrCompute("boom", () =>
+    Promise.reject(new Error("boom"))
+  );
+  await expect(failed).rejects.toThrow("boom");
+  expect(cache.has("boom")).toBe(false); // Rejected promises are dropped
+});
+
+test("Test case 5: Iterators skip entries removed while they are paused", () => {
+  const cache = new Cache({ maxSize: 4 });
+  cache.set("d", 4).set("c", 3).set("b", 2).set("a", 1);
+
+  const seen = [];
+  for (const [key] of cache) {
+    seen.push(key);
+    if (key === "a") cache.delete("b");
+    if (key === "c") cache.set("e", 5).set("f", 6); // Evicts "d"
+  }
+  expect(seen).toEqual(["a", "c"]);
+
+  const iterator = cache.keys();
+  expect(iterator.next().value).toBe("f");
+  cache.clear();
+  expect(iterator.next().done).toBe(true);
+
+  // Entries used during iteration move to the front and are not lost
+  cache.set("z", 26).set("y", 25).set("x", 24);
+  const used = [];
+  for (const [key] of cache) {
+    used.push(key);
+    cache.get(key);
+  }
+  expect(used).toEqual(["x", "y", "z"]);
+});
@@ -2,110 +2,1515 @@
  * HashMap implementation with automatic resizing and collision handling
  *
  * Features:
- * - Separate chaining for collision resolution
- * - Automatic resizing when load factor exceeds 0.75
+ * - Separate chaining for collision resolution, or open addressing (linear
+ *   probing with tombstones) via { strategy: "open" }
+ * - Automatic resizing when load factor exceeds 0.75 (configurable), optional
+ *   shrinking after removals, and optional incremental rehashing
  * - Optimized removal using swap-and-pop technique
- * - Comprehensive API with keys(), values(), entries() methods
+ * - Snapshot and restore via toJSON()/fromJSON() and a versioned binary
+ *   format (serialize()/deserialize()), keeping the table capacity
+ * - Native Map interface (size, delete, forEach, iterators yielding
+ *   [key, value] pairs) plus conversion to and from Map and plain objects
+ * - Opt-in observers for resize/set/remove/clear events, and stats() for
+ *   inspecting the key distribution
+ * - Keys of any type: built-in hashing for strings, numbers, booleans, bigints
+ *   and object identity, or user-supplied hash/equals functions
+ * - Hash-flooding resistance: keys are hashed with HalfSipHash under a random
+ *   per-map seed (or a fixed one via { seed }), and chained buckets that
+ *   still grow long are converted into balanced trees
  *
  * Time Complexity:
  * - Average: O(1) for get, set, remove operations
- * - Worst case: O(n) when all keys hash to same bucket
+ * - Worst case: O(log n) with chaining and the default equality (colliding
+ *   keys end up in a tree bucket), O(n) otherwise
  *
  * Space Complexity: O(n) where n is number of entries
  */
+
+const { randomFillSync } = require("crypto");
+const { TreeMap } = require("../BalancedBST/balancedBST.js");
+
+/**
+ * Identity codes for object, function and (unregistered) symbol keys
+ * Weakly held, so keys can still be garbage collected
+ * @type {WeakMap<Object|symbol, number>}
+ */
+const identityCodes = new WeakMap();
+let nextIdentityCode = 1;
+
+/**
+ * Returns the identity code of an object or symbol, assigning one if needed
+ * @param {Object|symbol} value - Object, function or unregistered symbol
+ * @returns {number} Positive integer unique to the value
+ */
+function identityCode(value) {
+  let code = identityCodes.get(value);
+  if (code === undefined) {
+    code = nextIdentityCode++;
+    identityCodes.set(value, code);
+  }
+  return code;
+}
+
+/**
+ * Creates a random hash seed
+ * @returns {Array<number>} Two unsigned 32-bit key words
+ */
+function randomSeed() {
+  return Array.from(randomFillSync(new Uint32Array(2)));
+}
+
+/**
+ * HalfSipHash-2-4 state: SipHash reduced to 32-bit words, a keyed hash
+ * designed so that collisions cannot be found without knowing the key.
+ * Shared by the functions below, so hashing allocates nothing.
+ */
+const sip = new Int32Array(4);
+
+function rotl(x, bits) {
+  return (x << bits) | (x >>> (32 - bits));
+}
+
+function sipRound() {
+  sip[0] += sip[1];
+  sip[1] = rotl(sip[1], 5) ^ sip[0];
+  sip[0] = rotl(sip[0], 16);
+  sip[2] += sip[3];
+  sip[3] = rotl(sip[3], 8) ^ sip[2];
+  sip[0] += sip[3];
+  sip[3] = rotl(sip[3], 7) ^ sip[0];
+  sip[2] += sip[1];
+  sip[1] = rotl(sip[1], 13) ^ sip[2];
+  sip[2] = rotl(sip[2], 16);
+}
+
+/**
+ * Starts hashing with a seed
+ * @param {Array<number>} seed - Two 32-bit key words
+ */
+function sipBegin(seed) {
+  sip[0] = seed[0];
+  sip[1] = seed[1];
+  sip[2] = 0x6c796765 ^ seed[0];
+  sip[3] = 0x74656462 ^ seed[1];
+}
+
+/**
+ * Absorbs one 32-bit message word
+ * @param {number} word - Message word
+ */
+function sipWord(word) {
+  sip[3] ^= word;
+  sipRound();
+  sipRound();
+  sip[0] ^= word;
+}
+
+/**
+ * Absorbs the final word and returns the hash
+ * @param {number} last - Message length in bytes (top 8 bits) combined with
+ *   any leftover message bytes
+ * @returns {number} Unsigned 32-bit hash code
+ */
+function sipFinish(last) {
+  sipWord(last);
+  sip[2] ^= 0xff;
+  sipRound();
+  sipRound();
+  sipRound();
+  sipRound();
+  return (sip[1] ^ sip[3]) >>> 0;
+}
+
+/**
+ * Seeded hash of the UTF-16 code units of a string, two units per word
+ * @param {string} str - String to hash
+ * @param {Array<number>} seed - Two 32-bit key words
+ * @returns {number} Unsigned 32-bit hash code
+ */
+function hashString(str, seed) {
+  sipBegin(seed);
+  const even = str.length & ~1;
+  for (let i = 0; i < even; i += 2) {
+    sipWord(str.charCodeAt(i) | (str.charCodeAt(i + 1) << 16));
+  }
+  const tail = even < str.length ? str.charCodeAt(even) : 0;
+  return sipFinish(((str.length * 2) << 24) | tail);
+}
+
+/** Scratch space for reading the bits of a float64 */
+const float64 = new Float64Array(1);
+const float64Words = new Uint32Array(float64.buffer);
+
+/**
+ * Seeded hash of two 32-bit words
+ * @param {number} low - First word
+ * @param {number} high - Second word
+ * @param {Array<number>} seed - Two 32-bit key words
+ * @returns {number} Unsigned 32-bit hash code
+ */
+function hashWords(low, high, seed) {
+  sipBegin(seed);
+  sipWord(low);
+  sipWord(high);
+  return sipFinish(8 << 24);
+}
+
+/**
+ * Default hash function supporting every key type
+ * Keys considered equal by SameValueZero (e.g. 0 and -0) hash the same.
+ * Every key type goes through the seeded HalfSipHash, so without the seed
+ * an attacker cannot choose keys that collide.
+ * @param {*} key - The key to hash
+ * @param {Array<number>} seed - Two 32-bit key words
+ * @returns {number} Unsigned 32-bit hash code
+ */
+function defaultHash(key, seed) {
+  switch (typeof key) {
+    case "string":
+      return hashString(key, seed);
+    case "number":
+      // -0 becomes 0 so it matches 0; NaN is already canonical
+      float64[0] = key === 0 ? 0 : key;
+      return hashWords(float64Words[0], float64Words[1], seed);
+    case "bigint":
+      return hashString(key.toString(), seed);
+    case "boolean":
+      return hashWords(key ? 1 : 0, 1, seed);
+    case "undefined":
+      return hashWords(0, 2, seed);
+    case "symbol": {
+      // Registered symbols (Symbol.for) cannot be weakly held
+      const registered = Symbol.keyFor(key);
+      if (registered !== undefined) return hashString(registered, seed);
+      return hashWords(identityCode(key), 3, seed);
+    }
+    default:
+      if (key === null) return hashWords(0, 4, seed);
+
+      // Objects and functions are hashed by identity
+      return hashWords(identityCode(key), 5, seed);
+  }
+}
+
+/**
+ * Default key equality: SameValueZero, as used by the native Map
+ * @param {*} a - First key
+ * @param {*} b - Second key
+ * @returns {boolean} True if the keys are equal (NaN equals NaN)
+ */
+function defaultEquals(a, b) {
+  return a === b || (a !== a && b !== b);
+}
+
+/** Rank of each key type in compareKeys() */
+const TYPE_ORDER = {
+  undefined: 0,
+  boolean: 1,
+  number: 2,
+  bigint: 3,
+  string: 4,
+  symbol: 5,
+  object: 6,
+  function: 6,
+};
+
+/**
+ * Total order over keys that agrees with defaultEquals, used to keep
+ * treeified buckets sorted: by type, then by value for primitives and by
+ * identity code for objects and symbols
+ * @param {*} a - First key
+ * @param {*} b - Second key
+ * @returns {number} Negative, zero or positive, like a comparator
+ */
+function compareKeys(a, b) {
+  const typeA = a === null ? -1 : TYPE_ORDER[typeof a];
+  const typeB = b === null ? -1 : TYPE_ORDER[typeof b];
+  if (typeA !== typeB) return typeA - typeB;
+
+  switch (typeof a) {
+    case "undefined":
+      return 0;
+    case "number":
+      // NaN sorts first and equals itself; 0 and -0 compare equal
+      if (a !== a || b !== b) return (b !== b) - (a !== a);
+      return a < b ? -1 : a > b ? 1 : 0;
+    case "boolean":
+    case "bigint":
+    case "string":
+      return a < b ? -1 : a > b ? 1 : 0;
+    case "symbol": {
+      const keyA = Symbol.keyFor(a);
+      const keyB = Symbol.keyFor(b);
+      if (keyA !== undefined && keyB !== undefined) {
+        return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+      }
+      if (keyA !== undefined || keyB !== undefined) {
+        return keyA !== undefined ? -1 : 1; // Registered symbols first
+      }
+      return identityCode(a) - identityCode(b);
+    }
+    default:
+      if (a === null) return 0;
+      return identityCode(a) - identityCode(b);
+  }
+}
+
+/**
+ * Marker returned by store lookups when a key is absent
+ * (undefined cannot be used because it is a valid stored value)
+ */
+const MISSING = Symbol("missing");
+
+/** Buckets longer than this become trees, and shrink back below the other */
+const TREEIFY_THRESHOLD = 8;
+const UNTREEIFY_THRESHOLD = 6;
+
+/** Largest table capacity, so a bad option or snapshot cannot exhaust memory */
+const MAX_CAPACITY = 2 ** 30;
+
+/**
+ * Bucket holding its entries in a balanced BST (a TreeMap keyed by key),
+ * so lookups stay O(log n) even if many keys share a bucket
+ */
+class TreeBucket {
+  /**
+   * @param {Array<Object>} items - Bucket entries {key, value, hash}
+   * @param {Function} compare - Key order consistent with key equality
+   */
+  constructor(items, compare) {
+    this._tree = new TreeMap(
+      items.map((item) => [item.key, item]),
+      { compare }
+    );
+  }
+
+  /** @type {number} Number of entries */
+  get length() {
+    return this._tree.size;
+  }
+
+  /**
+   * @param {*} key - Key to find
+   * @returns {Object|undefined} The entry {key, value, hash}, if present
+   */
+  find(key) {
+    return this._tree.get(key);
+  }
+
+  /** @param {Object} item - New entry {key, value, hash} */
+  push(item) {
+    this._tree.set(item.key, item);
+  }
+
+  /**
+   * @param {*} key - Key to remove
+   * @returns {boolean} True if removed
+   */
+  remove(key) {
+    return this._tree.delete(key);
+  }
+
+  /** @yields {Object} Entries {key, value, hash}, in key order */
+  *[Symbol.iterator]() {
+    yield* this._tree.values();
+  }
+}
+
+/**
+ * Separate-chaining storage: each bucket is an array of {key, value, hash}
+ * Hash codes are cached on the entries so rehashing never calls hash() again.
+ * Given a key order (see compareKeys), buckets that grow past
+ * TREEIFY_THRESHOLD entries are converted into TreeBuckets.
+ */
+class ChainedStore {
+  /**
+   * @param {number} capacity - Number of buckets
+   * @param {Function} equals - Key equality function
+   * @param {Function|null} [compare] - Key order consistent with equals;
+   *   null disables treeification
+   */
+  constructor(capacity, equals, compare = null) {
+    this.capacity = capacity; // Number of buckets
+    this.size = 0; // Number of entries stored
+    this.tombstones = 0; // Always 0; chaining frees slots immediately
+    this.treeBuckets = 0; // Number of buckets converted to trees
+    this._equals = equals;
+    this._compare = compare;
+    this._buckets = new Array(capacity); // Array of buckets for separate chaining
+  }
+
+  /**
+   * Finds the entry for a key within a bucket
+   * @param {Array|TreeBucket} bucket - Bucket to search
+   * @param {*} key - The key to find
+   * @param {number} hash - Unsigned 32-bit hash code of the key
+   * @returns {Object|undefined} The entry {key, value, hash}, if present
+   */
+  _find(bucket, key, hash) {
+    if (bucket instanceof TreeBucket) return bucket.find(key);
+
+    // Linear search within bucket for matching key
+    for (const item of bucket) {
+      if (item.hash === hash && this._equals(item.key, key)) return item;
+    }
+    return undefined;
+  }
+
+  /**
+   * Looks up the value stored for a key
+   * @param {*} key - The key to look up
+   * @param {number} hash - Unsigned 32-bit hash code of the key
+   * @returns {*} The value, or MISSING if the key is absent
+   */
+  get(key, hash) {
+    const bucket = this._buckets[hash % this.capacity];
+    if (!bucket) return MISSING;
+
+    const item = this._find(bucket, key, hash);
+    return item === undefined ? MISSING : item.value;
+  }
+
+  /**
+   * Adds or updates an entry
+   * @param {*} key - The key to insert
+   * @param {number} hash - Unsigned 32-bit hash code of the key
+   * @param {*} value - The value to associate with the key
+   * @returns {boolean} True if a new entry was added, false if updated
+   */
+  set(key, hash, value) {
+    const index = hash % this.capacity;
+
+    // Initialize bucket if it doesn't exist
+    if (!this._buckets[index]) {
+      this._buckets[index] = [];
+    }
+
+    const bucket = this._buckets[index];
+
+    // Check if key already exists and update value
+    const item = this._find(bucket, key, hash);
+    if (item !== undefined) {
+      item.value = value;
+      return false; // Key exists, just update value
+    }
+
+    // Key doesn't exist, add new entry
+    bucket.push({ key, value, hash });
+    this.size++;
+
+    // Guard against pathological collisions
+    if (
+      this._compare !== null &&
+      Array.isArray(bucket) &&
+      bucket.length > TREEIFY_THRESHOLD
+    ) {
+      this._buckets[index] = new TreeBucket(bucket, this._compare);
+      this.treeBuckets++;
+    }
+    return true;
+  }
+
+  /**
+   * Removes an entry using swap-and-pop to avoid O(n) array shifting
+   * @param {*} key - The key to remove
+   * @param {number} hash - Unsigned 32-bit hash code of the key
+   * @returns {number} Bucket index the key was removed from, or -1 if absent
+   */
+  delete(key, hash) {
+    const index = hash % this.capacity;
+    const bucket = this._buckets[index];
+    if (!bucket) return -1;
+
+    if (bucket instanceof TreeBucket) {
+      if (!bucket.remove(key)) return -1;
+      this.size--;
+      if (bucket.length <= UNTREEIFY_THRESHOLD) {
+        this._buckets[index] = [...bucket];
+        this.treeBuckets--;
+      }
+      return index;
+    }
+
+    for (let i = 0; i < bucket.length; i++) {
+      const item = bucket[i];
+      if (item.hash === hash && this._equals(item.key, key)) {
+        // Swap with last element and pop (O(1) removal)
+        bucket[i] = bucket[bucket.length - 1];
+        bucket.pop();
+        this.size--;
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Moves every entry out of one bucket (used by incremental rehashing)
+   * @param {number} index - Bucket index
+   * @param {Function} callback - Called with (key, value, hash) per entry
+   * @returns {number} Number of entries moved
+   */
+  evacuate(index, callback) {
+    const bucket = this._buckets[index];
+    if (!bucket) return 0;
+
+    this._buckets[index] = undefined;
+    this.size -= bucket.length;
+    if (bucket instanceof TreeBucket) this.treeBuckets--;
+    for (const item of bucket) {
+      callback(item.key, item.value, item.hash);
+    }
+    return bucket.length;
+  }
+
+  /**
+   * Calls a callback for every entry in bucket order
+   * @param {Function} callback - Called with (key, value, hash)
+   */
+  forEach(callback) {
+    for (const bucket of this._buckets) {
+      if (!bucket) continue;
+      for (const item of bucket) {
+        callback(item.key, item.value, item.hash);
+      }
+    }
+  }
+
+  /**
+   * Maps a hash code to its bucket in a table of the given size
+   * @param {number} hash - Unsigned 32-bit hash code
+   * @param {number} capacity - Number of buckets
+   * @returns {number} Bucket index
+   */
+  static home(hash, capacity) {
+    return hash % capacity;
+  }
+
+  /**
+   * Picks the bucket a walk over the table starts from (see walk())
+   * @returns {number} Bucket index
+   */
+  walkStart() {
+    return 0;
+  }
+
+  /**
+   * Calls a callback for every entry of the next non-empty bucket of a walk
+   * (used by HashMap iteration)
+   * Entries never move between buckets, so a walk stays valid while the
+   * table is written to.
+   * @param {number} start - Bucket the walk started from
+   * @param {number} offset - Number of buckets already walked
+   * @param {Function} callback - Called with (key, value, hash) per entry
+   * @returns {number} Number of buckets walked afterwards; capacity once
+   *   the walk is done
+   */
+  walk(start, offset, callback) {
+    for (; offset < this.capacity; offset++) {
+      const bucket = this._buckets[(start + offset) % this.capacity];
+      if (!bucket || bucket.length === 0) continue;
+      for (const item of bucket) {
+        callback(item.key, item.value, item.hash);
+      }
+      return offset + 1;
+    }
+    return offset;
+  }
+
+  /**
+   * Yields the length of every bucket, including empty ones (for stats)
+   * @yields {number} Number of entries in the bucket
+   */
+  *chainLengths() {
+    for (const bucket of this._buckets) {
+      yield bucket ? bucket.length : 0;
+    }
+  }
+
+  /**
+   * Yields every non-empty bucket with its entries, for debugging output
+   * @yields {Array} [bucket index, Array<{key, value}>]
+   */
+  *buckets() {
+    for (let i = 0; i < this._buckets.length; i++) {
+      const bucket = this._buckets[i];
+      if (bucket && bucket.length > 0) yield [i, [...bucket]];
+    }
+  }
+}
+
+/** Slot states for open addressing */
+const EMPTY = 0;
+const FULL = 1;
+const DELETED = 2; // Tombstone: keeps probe sequences intact after removal
+
+/**
+ * Open-addressing storage with linear probing
+ * Entries live in flat parallel arrays, so no per-entry objects or per-bucket
+ * arrays are allocated. Removed slots become tombstones, which the owning
+ * HashMap clears out by rehashing (see HashMap._resize).
+ */
+class OpenAddressingStore {
+  /**
+   * @param {number} capacity - Number of slots
+   * @param {Function} equals - Key equality function
+   */
+  constructor(capacity, equals) {
+    this.capacity = capacity; // Number of slots
+    this.size = 0; // Number of entries stored
+    this.tombstones = 0; // Number of DELETED slots
+    this.treeBuckets = 0; // Always 0; probe sequences are never treeified
+    this._equals = equals;
+    this._keys = new Array(capacity);
+    this._values = new Array(capacity);
+    this._hashes = new Uint32Array(capacity); // Cached hash codes
+    this._states = new Uint8Array(capacity); // EMPTY, FULL or DELETED
+  }
+
+  /**
+   * Maps a hash code to its home slot
+   * Scrambles the bits first (Fibonacci hashing): linear probing degrades
+   * badly when similar keys, such as "key-1" and "key-2", land in adjacent slots
+   * @param {number} hash - Unsigned 32-bit hash code
+   * @returns {number} Slot index
+   */
+  _home(hash) {
+    return OpenAddressingStore.home(hash, this.capacity);
+  }
+
+  /**
+   * Maps a hash code to its home slot in a table of the given size
+   * @param {number} hash - Unsigned 32-bit hash code
+   * @param {number} capacity - Number of slots
+   * @returns {number} Slot index
+   */
+  static home(hash, capacity) {
+    return (Math.imul(hash, 0x9e3779b9) >>> 0) % capacity;
+  }
+
+  /**
+   * Finds the slot holding a key
+   * @param {*} key - The key to find
+   * @param {number} hash - Unsigned 32-bit hash code of the key
+   * @returns {number} Slot index, or -1 if the key is absent
+   */
+  _slotOf(key, hash) {
+    let index = this._home(hash);
+
+    // Probe until an empty slot ends the sequence (at most one full lap)
+    for (let probes = 0; probes < this.capacity; probes++) {
+      const state = this._states[index];
+      if (state === EMPTY) return -1;
+      if (
+        state === FULL &&
+        this._hashes[index] === hash &&
+        this._equals(this._keys[index], key)
+      ) {
+        return index;
+      }
+      index = (index + 1) % this.capacity;
+    }
+    return -1;
+  }
+
+  /**
+   * Looks up the value stored for a key
+   * @param {*} key - The key to look up
+   * @param {number} hash - Unsigned 32-bit hash code of the key
+   * @returns {*} The value, or MISSING if the key is absent
+   */
+  get(key, hash) {
+    const index = this._slotOf(key, hash);
+    return index === -1 ? MISSING : this._values[index];
+  }
+
+  /**
+   * Adds or updates an entry, reusing the first tombstone on the probe path
+   * @param {*} key - The key to insert
+   * @param {number} hash - Unsigned 32-bit hash code of the key
+   * @param {*} value - The value to associate with the key
+   * @returns {boolean} True if a new entry was added, false if updated
+   * @throws {Error} If every slot is occupied
+   */
+  set(key, hash, value) {
+    let index = this._home(hash);
+    let target = -1;
+
+    for (let probes = 0; probes < this.capacity; probes++) {
+      const state = this._states[index];
+      if (state === EMPTY) {
+        if (target === -1) target = index;
+        break;
+      }
+      if (state === DELETED) {
+        if (target === -1) target = index;
+      } else if (
+        this._hashes[index] === hash &&
+        this._equals(this._keys[index], key)
+      ) {
+        this._values[index] = value;
+        return false; // Key exists, just update value
+      }
+      index = (index + 1) % this.capacity;
+    }
+
+    if (target === -1) throw new Error("Open-addressing table is full");
+    if (this._states[target] === DELETED) this.tombstones--;
+
+    this._keys[target] = key;
+    this._values[target] = value;
+    this._hashes[target] = hash;
+    this._states[target] = FULL;
+    this.size++;
+    return true;
+  }
+
+  /**
+   * Removes an entry, leaving a tombstone in its slot
+   * @param {*} key - The key to remove
+   * @param {number} hash - Unsigned 32-bit hash code of the key
+   * @returns {number} Slot index the key was removed from, or -1 if absent
+   */
+  delete(key, hash) {
+    const index = this._slotOf(key, hash);
+    if (index === -1) return -1;
+
+    this._keys[index] = undefined; // Release references for GC
+    this._values[index] = undefined;
+    this._states[index] = DELETED;
+    this.size--;
+    this.tombstones++;
+    return index;
+  }
+
+  /**
+   * Moves the entry out of one slot (used by incremental rehashing)
+   * The slot becomes a tombstone so later probes still pass over it
+   * @param {number} index - Slot index
+   * @param {Function} callback - Called with (key, value, hash)
+   * @returns {number} Number of entries moved (0 or 1)
+   */
+  evacuate(index, callback) {
+    if (this._states[index] !== FULL) return 0;
+
+    const key = this._keys[index];
+    const value = this._values[index];
+    this._keys[index] = undefined;
+    this._values[index] = undefined;
+    this._states[index] = DELETED;
+    this.size--;
+    this.tombstones++;
+    callback(key, value, this._hashes[index]);
+    return 1;
+  }
+
+  /**
+   * Calls a callback for every entry in slot order
+   * @param {Function} callback - Called with (key, value, hash)
+   */
+  forEach(callback) {
+    for (let i = 0; i < this.capacity; i++) {
+      if (this._states[i] === FULL) {
+        callback(this._keys[i], this._values[i], this._hashes[i]);
+      }
+    }
+  }
+
+  /**
+   * Picks the slot a walk over the table starts from (see walk())
+   * An empty slot is chosen, so that no probe cluster wraps around it
+   * @returns {number} Slot index
+   */
+  walkStart() {
+    const index = this._states.indexOf(EMPTY);
+    return index === -1 ? 0 : index;
+  }
+
+  /**
+   * Calls a callback for every entry of the next probe cluster of a walk
+   * (used by HashMap iteration)
+   * A cluster is a run of slots between empty ones. Entries never move and
+   * slots never become empty again, so every entry found in a later cluster
+   * also has its home slot there, and a walk stays valid while the table is
+   * written to.
+   * @param {number} start - Slot the walk started from
+   * @param {number} offset - Number of slots already walked
+   * @param {Function} callback - Called with (key, value, hash) per entry
+   * @returns {number} Number of slots walked afterwards; capacity once the
+   *   walk is done
+   */
+  walk(start, offset, callback) {
+    const slot = (i) => (start + i) % this.capacity;
+    while (offset < this.capacity && this._states[slot(offset)] === EMPTY) {
+      offset++;
+    }
+    while (offset < this.capacity && this._states[slot(offset)] !== EMPTY) {
+      const i = slot(offset++);
+      if (this._states[i] === FULL) {
+        callback(this._keys[i], this._values[i], this._hashes[i]);
+      }
+    }
+    return offset;
+  }
+
+  /**
+   * Yields the probe sequence length of every entry (for stats)
+   * An entry in its home slot has length 1
+   * @yields {number} Slots probed to reach the entry
+   */
+  *chainLengths() {
+    for (let i = 0; i < this.capacity; i++) {
+      if (this._states[i] === FULL) {
+        const home = this._home(this._hashes[i]);
+        yield ((i - home + this.capacity) % this.capacity) + 1;
+      }
+    }
+  }
+
+  /**
+   * Yields every occupied slot as a one-entry bucket, for debugging output
+   * @yields {Array} [slot index, Array<{key, value}>]
+   */
+  *buckets() {
+    for (let i = 0; i < this.capacity; i++) {
+      if (this._states[i] === FULL) {
+        yield [i, [{ key: this._keys[i], value: this._values[i] }]];
+      }
+    }
+  }
+}
+
+/** Snapshot format version, shared by toJSON() and serialize() */
+const SNAPSHOT_VERSION = 1;
+const BINARY_MAGIC = [0x48, 0x4d, 0x41, 0x50]; // "HMAP"
+
+/** Type tags for values in the binary format */
+const TAG_UNDEFINED = 0;
+const TAG_NULL = 1;
+const TAG_FALSE = 2;
+const TAG_TRUE = 3;
+const TAG_NUMBER = 4; // float64
+const TAG_STRING = 5; // uint32 byte length + UTF-8
+const TAG_BIGINT = 6; // uint32 byte length + decimal digits
+const TAG_JSON = 7; // uint32 byte length + UTF-8 JSON text
+
+/**
+ * FNV-1a checksum used to detect corrupted snapshots
+ * @param {Uint8Array} bytes - Bytes to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function checksum(bytes) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash = Math.imul(hash ^ bytes[i], 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Growable little-endian byte buffer for HashMap.serialize()
+ */
+class BinaryWriter {
+  constructor() {
+    this._bytes = new Uint8Array(256);
+    this._view = new DataView(this._bytes.buffer);
+    this._length = 0;
+    this._encoder = new TextEncoder();
+  }
+
+  /**
+   * Makes room for more bytes, doubling the buffer as needed
+   * @param {number} count - Number of bytes about to be written
+   */
+  _reserve(count) {
+    if (this._length + count <= this._bytes.length) return;
+
+    let size = this._bytes.length * 2;
+    while (size < this._length + count) size *= 2;
+    const bytes = new Uint8Array(size);
+    bytes.set(this._bytes.subarray(0, this._length));
+    this._bytes = bytes;
+    this._view = new DataView(bytes.buffer);
+  }
+
+  /** @param {number} n - Writes n as an unsigned 8-bit integer */
+  uint8(n) {
+    this._reserve(1);
+    this._view.setUint8(this._length, n);
+    this._length += 1;
+  }
+
+  /** @param {number} n - Writes n as an unsigned 32-bit integer */
+  uint32(n) {
+    this._reserve(4);
+    this._view.setUint32(this._length, n, true);
+    this._length += 4;
+  }
+
+  /** @param {number} n - Writes n as a 64-bit float */
+  float64(n) {
+    this._reserve(8);
+    this._view.setFloat64(this._length, n, true);
+    this._length += 8;
+  }
+
+  /**
+   * Writes a string as a uint32 byte length followed by UTF-8
+   * @param {string} str - String to write
+   */
+  string(str) {
+    const bytes = this._encoder.encode(str);
+    this.uint32(bytes.length);
+    this._reserve(bytes.length);
+    this._bytes.set(bytes, this._length);
+    this._length += bytes.length;
+  }
+
+  /**
+   * Writes a tagged value
+   * Plain objects and arrays are stored as JSON, so they come back as equal
+   * copies rather than the same objects
+   * @param {*} value - Value to write
+   * @throws {Error} If the value is a symbol or function
+   */
+  value(value) {
+    switch (typeof value) {
+      case "undefined":
+        return this.uint8(TAG_UNDEFINED);
+      case "boolean":
+        return this.uint8(value ? TAG_TRUE : TAG_FALSE);
+      case "number":
+        this.uint8(TAG_NUMBER);
+        return this.float64(value);
+      case "string":
+        this.uint8(TAG_STRING);
+        return this.string(value);
+      case "bigint":
+        this.uint8(TAG_BIGINT);
+        return this.string(value.toString());
+      case "object":
+        if (value === null) return this.uint8(TAG_NULL);
+        this.uint8(TAG_JSON);
+        return this.string(JSON.stringify(value));
+      default:
+        throw new Error(`Cannot serialize a value of type ${typeof value}`);
+    }
+  }
+
+  /**
+   * Returns the written bytes followed by their checksum
+   * @returns {Uint8Array} Finished snapshot
+   */
+  finish() {
+    this.uint32(checksum(this._bytes.subarray(0, this._length)));
+    return this._bytes.slice(0, this._length);
+  }
+}
+
+/**
+ * Bounds-checked reader for HashMap.deserialize()
+ */
+class BinaryReader {
+  /**
+   * @param {Uint8Array} bytes - Snapshot to read
+   */
+  constructor(bytes) {
+    this._bytes = bytes;
+    this._view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    this._offset = 0;
+    this._decoder = new TextDecoder("utf-8", { fatal: true });
+  }
+
+  /**
+   * Advances past a field, checking it fits in the input
+   * @param {number} count - Field size in bytes
+   * @returns {number} Offset of the field
+   * @throws {Error} If the input ends first
+   */
+  _take(count) {
+    if (this._offset + count > this._bytes.length) {
+      throw new Error("Invalid serialized HashMap: unexpected end of input");
+    }
+    const offset = this._offset;
+    this._offset += count;
+    return offset;
+  }
+
+  /**
+   * Skips over bytes that were already validated
+   * @param {number} count - Number of bytes to skip
+   */
+  skip(count) {
+    this._take(count);
+  }
+
+  /**
+   * Whether every byte has been read
+   * @type {boolean}
+   */
+  get done() {
+    return this._offset === this._bytes.length;
+  }
+
+  /** @returns {number} Next an unsigned 8-bit integer */
+  uint8() {
+    return this._view.getUint8(this._take(1));
+  }
+
+  /** @returns {number} Next an unsigned 32-bit integer */
+  uint32() {
+    return this._view.getUint32(this._take(4), true);
+  }
+
+  /** @returns {number} Next a 64-bit float */
+  float64() {
+    return this._view.getFloat64(this._take(8), true);
+  }
+
+  /**
+   * Reads a string written by BinaryWriter.string()
+   * @returns {string} Decoded string
+   * @throws {Error} If the input ends first or is not valid UTF-8
+   */
+  string() {
+    const length = this.uint32();
+    const offset = this._take(length);
+    try {
+      return this._decoder.decode(
+        this._bytes.subarray(offset, offset + length)
+      );
+    } catch (e) {
+      throw new Error("Invalid serialized HashMap: malformed UTF-8");
+    }
+  }
+
+  /**
+   * Reads a tagged value written by BinaryWriter.value()
+   * @returns {*} Decoded value
+   * @throws {Error} If the tag is unknown or the payload is malformed
+   */
+  value() {
+    const tag = this.uint8();
+    switch (tag) {
+      case TAG_UNDEFINED:
+        return undefined;
+      case TAG_NULL:
+        return null;
+      case TAG_FALSE:
+        return false;
+      case TAG_TRUE:
+        return true;
+      case TAG_NUMBER:
+        return this.float64();
+      case TAG_STRING:
+        return this.string();
+      case TAG_BIGINT:
+      case TAG_JSON: {
+        const text = this.string();
+        try {
+          return tag === TAG_BIGINT ? BigInt(text) : JSON.parse(text);
+        } catch (e) {
+          throw new Error("Invalid serialized HashMap: malformed value");
+        }
+      }
+      default:
+        throw new Error(`Invalid serialized HashMap: unknown type tag ${tag}`);
+    }
+  }
+}
+
+/**
+ * Checks whether a value can be iterated with for...of
+ * Strings are excluded: a Map cannot be built from one. Shared by the
+ * collections built on HashMap to tell entries apart from options.
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is an iterable object
+ */
+function isIterable(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    typeof value[Symbol.iterator] === "function"
+  );
+}
+
+/**
+ * Calls a callback for every [key, value] entry of an iterable, as the Map
+ * constructor reads its argument
+ * @param {Iterable<Array>} entries - A Map, HashMap, array of pairs, ...
+ * @param {Function} callback - Called with (key, value) per entry
+ * @throws {Error} If an entry is not an object
+ */
+function forEachEntry(entries, callback) {
+  for (const entry of entries) {
+    if (entry === null || typeof entry !== "object") {
+      throw new Error("Iterator value is not an entry object");
+    }
+    callback(entry[0], entry[1]);
+  }
+}
+
+/**
+ * Hash table mapping keys of any type to values
+ */
 class HashMap {
   /**
    * Creates a new HashMap instance
-   * @param {number} initialCapacity - Initial number of buckets (default: 16)
+   * Like Map, the map can be populated from an iterable of [key, value]
+   * pairs, which then comes first: new HashMap(entries, options)
+   * @param {Iterable<Array>} [entries] - Initial [key, value] pairs
+   * @param {number|Object} [options] - Initial capacity, or an options object
+   * @param {number} [options.initialCapacity=16] - Initial number of buckets;
+   *   the table never shrinks below it
+   * @param {Function} [options.hash] - Custom hash(key, seed) returning an
+   *   integer; seed is the map's pair of 32-bit key words, which the
+   *   function may mix in for flooding resistance
+   * @param {Function} [options.equals] - Custom equals(a, b); must agree with
+   *   hash. Long buckets are only treeified with the default equals.
+   * @param {number} [options.seed] - Fixed hash seed (non-negative safe
+   *   integer) for reproducible layouts; random per map by default
+   * @param {string} [options.strategy="chained"] - "chained" (separate
+   *   chaining) or "open" (open addressing with linear probing)
+   * @param {number} [options.loadFactor=0.75] - Grow once entries per bucket
+   *   exceed this (must be below 1 for open addressing)
+   * @param {number} [options.growthFactor=2] - Capacity multiplier on growth
+   * @param {number} [options.minLoadFactor=0] - Shrink by growthFactor once
+   *   entries per bucket fall below this after a removal (0 never shrinks)
+   * @param {boolean} [options.incremental=false] - Migrate entries to the
+   *   resized table a few buckets per operation instead of all at once
+   * @param {number} [options.rehashStep=4] - Non-empty buckets migrated per
+   *   operation in incremental mode
+   * @throws {Error} If any option is out of range, hash/equals are not
+   *   functions, or the strategy is unknown
+   * @example
+   * const points = new HashMap({
+   *   hash: (p) => p.x * 31 + p.y,
+   *   equals: (a, b) => a.x === b.x && a.y === b.y,
+   * });
+   * const compact = new HashMap({ strategy: "open" });
+   * const smooth = new HashMap({ incremental: true, minLoadFactor: 0.25 });
+   * const copy = new HashMap(nativeMap, { strategy: "open" });
    */
-  constructor(initialCapacity = 16) {
-    this._buckets = new Array(initialCapacity); // Array of buckets for separate chaining
-    this._capacity = initialCapacity; // Current capacity (number of buckets)
-    this._loadFactor = 0.75; // Threshold for triggering resize
-    this._size = 0; // Number of key-value pairs stored
+  constructor(entries, options = {}) {
+    if (!isIterable(entries)) {
+      options = entries === undefined ? {} : entries;
+      entries = [];
+    }
+    if (typeof options === "number") options = { initialCapacity: options };
+    const {
+      initialCapacity = 16,
+      hash = defaultHash,
+      equals = defaultEquals,
+      strategy = "chained",
+      loadFactor = 0.75,
+      growthFactor = 2,
+      minLoadFactor = 0,
+      incremental = false,
+      rehashStep = 4,
+      seed,
+    } = options;
+
+    if (
+      !Number.isInteger(initialCapacity) ||
+      initialCapacity < 1 ||
+      initialCapacity > MAX_CAPACITY
+    ) {
+      throw new Error(
+        `Initial capacity must be a positive integer up to ${MAX_CAPACITY}`
+      );
+    }
+    if (typeof hash !== "function" || typeof equals !== "function") {
+      throw new Error("hash and equals must be functions");
+    }
+    if (!(strategy in HashMap.strategies)) {
+      throw new Error(
+        `Unknown strategy "${strategy}", expected one of: ${Object.keys(
+          HashMap.strategies
+        ).join(", ")}`
+      );
+    }
+    if (!(loadFactor > 0) || (strategy === "open" && loadFactor >= 1)) {
+      throw new Error(
+        "Load factor must be positive (and below 1 for open addressing)"
+      );
+    }
+    if (!(growthFactor > 1)) {
+      throw new Error("Growth factor must be greater than 1");
+    }
+    if (!(minLoadFactor >= 0) || minLoadFactor * growthFactor >= loadFactor) {
+      // Otherwise a shrink could leave the table above its load factor
+      throw new Error(
+        "Minimum load factor must be non-negative and below loadFactor / growthFactor"
+      );
+    }
+    if (!Number.isInteger(rehashStep) || rehashStep < 1) {
+      throw new Error("Rehash step must be a positive integer");
+    }
+    if (seed !== undefined && !(Number.isSafeInteger(seed) && seed >= 0)) {
+      throw new Error("Seed must be a non-negative safe integer");
+    }
+
+    this._hashFn = hash; // Maps a key to an integer hash code
+    this._seed =
+      seed === undefined
+        ? randomSeed()
+        : [seed >>> 0, Math.floor(seed / 2 ** 32) >>> 0]; // Hash key words
+    this._fixedSeed = seed; // Seed option, kept so snapshots can restore it
+    this._equals = equals; // Decides whether two keys are the same key
+    this._strategy = strategy; // Storage backend name
+    this._initialCapacity = initialCapacity; // Floor for shrinking and clear()
+    this._store = this._createStore(initialCapacity); // Entry storage
+    this._loadFactor = loadFactor; // Threshold for triggering growth
+    this._growthFactor = growthFactor; // Capacity multiplier per resize
+    this._minLoadFactor = minLoadFactor; // Threshold for triggering shrink
+    this._incremental = Boolean(incremental); // Spread rehashing over calls
+    this._rehashStepSize = rehashStep; // Buckets migrated per operation
+    this._oldStore = null; // Table being drained by incremental rehashing
+    this._rehashCursor = 0; // Next bucket of _oldStore to migrate
     this._resizeCount = 0; // Counter for resize operations (debugging)
+    this._listeners = { resize: [], set: [], remove: [], clear: [] };
+    this._writes = 0; // Number of writes, so iterators can tell they are stale
+
+    forEachEntry(entries, (key, value) => this.set(key, value));
   }
 
   /**
-   * Hash function using polynomial rolling hash with prime number 31
-   * @param {string} key - The key to hash
-   * @returns {number} Hash value as bucket index
+   * Creates a HashMap from an iterable of [key, value] pairs
+   * @param {Iterable<Array>} entries - A Map, HashMap, array of pairs, ...
+   * @param {number|Object} [options] - Constructor options
+   * @returns {HashMap} New map
    */
-  _hash(key) {
-    let hash = 0;
-    const primeNumber = 31;
+  static from(entries, options) {
+    return new this(entries, options);
+  }
+
+  /**
+   * Creates a HashMap from the own enumerable properties of an object
+   * @param {Object} object - Plain object to copy
+   * @param {number|Object} [options] - Constructor options
+   * @returns {HashMap} New map keyed by property name
+   */
+  static fromObject(object, options) {
+    return new this(Object.entries(object), options);
+  }
+
+  /**
+   * Registers an event handler
+   * Events and their payloads:
+   * - "resize": { from, to, count, incremental } when a new table is created
+   * - "set": { key, value, added } after a set (added is false on update)
+   * - "remove": { key } after a key is removed
+   * - "clear": { size } after clear(), with the number of entries dropped
+   * @param {string} event - "resize", "set", "remove" or "clear"
+   * @param {Function} handler - Called with the event payload
+   * @returns {HashMap} This map, for chaining
+   * @throws {Error} If the event is unknown or the handler is not a function
+   * @example
+   * map.on("resize", ({ from, to }) => logger.debug(`resize ${from} -> ${to}`));
+   */
+  on(event, handler) {
+    this._listenersFor(event);
+    if (typeof handler !== "function") {
+      throw new Error("Event handler must be a function");
+    }
+    this._listeners[event].push(handler);
+    return this;
+  }
+
+  /**
+   * Unregisters an event handler added with on()
+   * @param {string} event - "resize", "set", "remove" or "clear"
+   * @param {Function} handler - The handler to remove
+   * @returns {HashMap} This map, for chaining
+   * @throws {Error} If the event is unknown
+   */
+  off(event, handler) {
+    const listeners = this._listenersFor(event);
+    const index = listeners.indexOf(handler);
+    if (index !== -1) listeners.splice(index, 1);
+    return this;
+  }
+
+  /**
+   * Looks up the handler list of an event
+   * @param {string} event - Event name
+   * @returns {Array<Function>} Registered handlers
+   * @throws {Error} If the event is unknown
+   */
+  _listenersFor(event) {
+    if (!Object.prototype.hasOwnProperty.call(this._listeners, event)) {
+      throw new Error(
+        `Unknown event "${String(event)}", expected one of: ${Object.keys(
+          this._listeners
+        ).join(", ")}`
+      );
+    }
+    return this._listeners[event];
+  }
+
+  /**
+   * Notifies the handlers of an event
+   * The payload is only built when someone is listening
+   * @param {string} event - Event name
+   * @param {Function} payload - Returns the event payload
+   */
+  _emit(event, payload) {
+    const listeners = this._listeners[event];
+    if (listeners.length === 0) return;
+
+    const data = payload();
+    // Copy so handlers can unsubscribe while being notified
+    for (const handler of [...listeners]) handler(data);
+  }
+
+  /**
+   * Creates an empty store of the configured strategy
+   * @param {number} capacity - Number of buckets/slots
+   * @returns {ChainedStore|OpenAddressingStore} New store
+   */
+  _createStore(capacity) {
+    const Store = HashMap.strategies[this._strategy];
+    // Bucket trees need a key order, which only the default equality has
+    const compare = this._equals === defaultEquals ? compareKeys : null;
+    return new Store(capacity, this._equals, compare);
+  }
 
-    // Polynomial rolling hash: hash = hash * 31 + charCode
-    for (let i = 0; i < key.length; i++) {
-      hash = (hash * primeNumber + key.charCodeAt(i)) % this._capacity;
+  /**
+   * Computes the hash code of a key
+   * @param {*} key - The key to hash
+   * @returns {number} Unsigned 32-bit hash code (stores reduce it to an index)
+   * @throws {Error} If a custom hash function returns a non-integer
+   */
+  _hash(key) {
+    const hash = this._hashFn(key, this._seed);
+    if (!Number.isInteger(hash)) {
+      throw new Error("hash(key) must return an integer");
     }
-    return hash;
+    // Fold to unsigned 32 bits so negative hashes map to a valid index
+    return hash >>> 0;
   }
 
   /**
    * Checks if HashMap needs resizing based on load factor
+   * Tombstones count as occupied: they lengthen probe sequences too.
+   * Entries still waiting in the old table count as well, since they will
+   * all land in the current one.
    * @returns {boolean} True if load factor exceeds threshold
    */
   _needsResize() {
-    return this._size / this._capacity > this._loadFactor;
+    const { size, tombstones, capacity } = this._store;
+    const pending = this._oldStore ? this._oldStore.size : 0;
+    return (size + tombstones + pending) / capacity > this._loadFactor;
+  }
+
+  /**
+   * Checks if HashMap should shrink after removals
+   * @returns {boolean} True if load dropped below the minimum load factor
+   */
+  _needsShrink() {
+    const { capacity } = this._store;
+    return (
+      capacity > this._initialCapacity &&
+      this.length() / capacity < this._minLoadFactor
+    );
   }
 
   /**
-   * Resizes the HashMap by doubling capacity and rehashing all entries
-   * This is an expensive O(n) operation but maintains performance
+   * Resizes the table to a new capacity
+   * Stop-the-world mode rehashes every entry immediately, an expensive O(n)
+   * operation. Incremental mode only swaps in the new table; the entries
+   * are migrated by _rehashStep() during subsequent operations.
+   * @param {number} newCapacity - Capacity of the new table
    */
-  _resize() {
+  _resize(newCapacity) {
     this._resizeCount++;
 
-    console.log(
-      `\n🔄 RESIZE ${this._resizeCount}: ${this._capacity} -> ${
-        this._capacity * 2
-      }`
+    // A resize can only start once the previous one has drained
+    if (this._oldStore) this._finishRehash();
+
+    // Save old state before creating new table
+    const oldStore = this._store;
+
+    // Create new table with the chosen capacity
+    this._store = this._createStore(newCapacity);
+    this._emit("resize", () => ({
+      from: oldStore.capacity,
+      to: newCapacity,
+      count: this._resizeCount,
+      incremental: this._incremental,
+    }));
+
+    if (this._incremental) {
+      this._oldStore = oldStore;
+      this._rehashCursor = 0;
+      return;
+    }
+
+    // Rehash all entries from old table to new table (hash codes are cached)
+    oldStore.forEach((key, value, hash) => this._store.set(key, hash, value));
+  }
+
+  /**
+   * Grows the table by the growth factor
+   * If most occupied slots are tombstones, the table is instead rebuilt at
+   * the same capacity to clear them out
+   */
+  _grow() {
+    const { size, tombstones, capacity } = this._store;
+    this._resize(
+      tombstones > size
+        ? capacity
+        : Math.max(capacity + 1, Math.ceil(capacity * this._growthFactor))
+    );
+  }
+
+  /**
+   * Shrinks the table by the growth factor, down to the initial capacity
+   */
+  _shrink() {
+    const { capacity } = this._store;
+    this._resize(
+      Math.max(this._initialCapacity, Math.floor(capacity / this._growthFactor))
     );
+  }
+
+  /**
+   * Migrates a few buckets from the old table during incremental rehashing
+   * Visits at most 10 empty buckets per non-empty one requested, so a
+   * sparse old table cannot make a single call slow either.
+   */
+  _rehashStep() {
+    const oldStore = this._oldStore;
+    if (!oldStore) return;
 
-    console.log(`Load factor: ${(this._size / this._capacity).toFixed(2)}`);
+    const move = (key, value, hash) => this._store.set(key, hash, value);
+    let moved = 0;
+    let visited = 0;
+    while (
+      this._rehashCursor < oldStore.capacity &&
+      moved < this._rehashStepSize &&
+      visited < this._rehashStepSize * 10
+    ) {
+      if (oldStore.evacuate(this._rehashCursor++, move) > 0) moved++;
+      visited++;
+    }
 
-    // Save old state before creating new table
-    const oldBuckets = this._buckets;
-    const oldCapacity = this._capacity;
-    const oldSize = this._size;
-
-    // Create larger table with double capacity
-    this._capacity *= 2;
-    this._buckets = new Array(this._capacity);
-    this._size = 0; // Reset size, will be incremented during rehashing
-
-    console.log("Before Rehashing:");
-    this._printBuckets(oldBuckets, oldCapacity);
-
-    // Rehash all entries from old table to new table
-    for (let i = 0; i < oldBuckets.length; i++) {
-      const bucket = oldBuckets[i];
-      if (bucket) {
-        for (const item of bucket) {
-          this._insertWithoutResize(item.key, item.value);
+    if (this._rehashCursor >= oldStore.capacity) {
+      this._oldStore = null;
+    }
+  }
+
+  /**
+   * Migrates everything left in the old table at once
+   */
+  _finishRehash() {
+    this._oldStore.forEach((key, value, hash) =>
+      this._store.set(key, hash, value)
+    );
+    this._oldStore = null;
+  }
+
+  /**
+   * Yields every entry, including any not yet migrated by incremental
+   * rehashing
+   * The table is walked one bucket or probe cluster at a time, so only that
+   * group is copied. Any pending rehash is finished first, leaving a single
+   * table to walk. If the map swaps in a new table while the iterator is
+   * paused, the walk starts over on it and skips every entry whose home in
+   * an earlier table was already walked, so resizes never make it skip or
+   * repeat an entry. Once the map has been written to, each copied key is
+   * looked up again before it is yielded: removed entries are skipped and
+   * updated values are seen.
+   * @yields {Array} [key, value]
+   */
+  *_entries() {
+    const walked = []; // { Store, capacity, start, offset } per earlier table
+    const keys = [];
+    const values = [];
+    const hashes = [];
+    const isWalked = (hash) =>
+      walked.some(
+        ({ Store, capacity, start, offset }) =>
+          (Store.home(hash, capacity) - start + capacity) % capacity < offset
+      );
+    const copy = (key, value, hash) => {
+      if (walked.length > 0 && isWalked(hash)) return;
+      keys.push(key);
+      values.push(value);
+      hashes.push(hash);
+    };
+
+    let store = null;
+    let start = 0;
+    let offset = 0;
+    let writes = this._writes;
+    let i = 0;
+    for (;;) {
+      if (this._oldStore) this._finishRehash();
+      if (store !== this._store) {
+        if (store !== null) {
+          const { constructor: Store, capacity } = store;
+          walked.push({ Store, capacity, start, offset });
         }
+        store = this._store;
+        start = store.walkStart();
+        offset = 0;
+      }
+
+      if (i === keys.length) {
+        if (offset >= store.capacity) return;
+        keys.length = values.length = hashes.length = i = 0;
+        writes = this._writes;
+        offset = store.walk(start, offset, copy);
+        continue;
       }
+
+      const key = keys[i];
+      let value = values[i];
+      if (this._writes !== writes) value = this._get(key, hashes[i]);
+      i++;
+      if (value !== MISSING) yield [key, value];
     }
-    console.log("After Rehashing:");
-    this._printBuckets(this._buckets, this._capacity);
-    console.log(`Item redistributed ${oldSize} -> ${this._size}`);
   }
 
   /**
-   * Utility method to print bucket structure for debugging
-   * @param {Array} buckets - Array of buckets to print
-   * @param {number} capacity - Capacity to display in output
+   * Looks up the value stored for a key in either table
+   * @param {*} key - The key to look up
+   * @returns {*} The value, or MISSING if the key is absent
    */
-  _printBuckets(buckets, capacity = this._capacity) {
-    console.log(`Bucket structure (capacity: ${capacity}):`);
-    for (let i = 0; i < buckets.length; i++) {
-      const bucket = buckets[i];
-      if (!bucket || bucket.length === 0) continue;
+  _lookup(key) {
+    this._rehashStep();
+    return this._get(key, this._hash(key));
+  }
+
+  /**
+   * Looks up a key whose hash code is already known, without migrating
+   * any entries
+   * @param {*} key - The key to look up
+   * @param {number} hash - Unsigned 32-bit hash code of the key
+   * @returns {*} The value, or MISSING if the key is absent
+   */
+  _get(key, hash) {
+    const value = this._store.get(key, hash);
+    if (value === MISSING && this._oldStore) {
+      return this._oldStore.get(key, hash);
+    }
+    return value;
+  }
 
+  /**
+   * Utility method to print bucket structure for debugging
+   * With open addressing every occupied slot is shown as a one-item bucket
+   * @param {ChainedStore|OpenAddressingStore} store - Store to print
+   */
+  _printBuckets(store = this._store) {
+    console.log(`Bucket structure (capacity: ${store.capacity}):`);
+    for (const [i, bucket] of store.buckets()) {
       // Format bucket contents as "key:value -> key:value"
+      // (String() so symbol keys can be printed too)
       const items = bucket
-        .map((item) => `${item.key}:${item.value}`)
+        .map((item) => `${String(item.key)}:${String(item.value)}`)
         .join(" -> ");
       console.log(`   [${i}]: ${items} (${bucket.length} items)`);
     }
@@ -113,105 +1518,90 @@ class HashMap {
 
   /**
    * Internal method to insert key-value pair without triggering resize
-   * Used during rehashing to avoid infinite recursion
-   * @param {string} key - The key to insert
+   * During incremental rehashing the key is moved out of the old table, so
+   * every key lives in exactly one of the two tables
+   * @param {*} key - The key to insert
    * @param {any} value - The value to associate with the key
+   * @returns {boolean} True if a new entry was added, false if updated
    */
   _insertWithoutResize(key, value) {
-    const index = this._hash(key);
-
-    // Initialize bucket if it doesn't exist
-    if (!this._buckets[index]) {
-      this._buckets[index] = [];
-    }
-
-    const bucket = this._buckets[index];
-
-    // Check if key already exists and update value
-    for (const item of bucket) {
-      if (item.key === key) {
-        item.value = value;
-        return; // Key exists, just update value
-      }
-    }
-
-    // Key doesn't exist, add new entry
-    bucket.push({ key, value });
-    this._size++;
+    const hash = this._hash(key);
+    const moved = this._oldStore && this._oldStore.delete(key, hash) !== -1;
+    return this._store.set(key, hash, value) && !moved;
   }
 
   /**
    * Adds or updates a key-value pair in the HashMap
-   * @param {string} key - The key (cannot be null or undefined)
+   * @param {*} key - The key (any value, as with Map)
    * @param {any} value - The value to store
-   * @throws {Error} If key is null or undefined
+   * @returns {HashMap} This map, for chaining
    */
   set(key, value) {
-    if (key == null) throw new Error("Key cannot be null or undefined");
+    this._rehashStep();
 
     // Check if resize is needed before insertion
     if (this._needsResize()) {
-      this._resize();
+      this._grow();
     }
 
-    this._insertWithoutResize(key, value);
+    const added = this._insertWithoutResize(key, value);
+    this._writes++;
+    this._emit("set", () => ({ key, value, added }));
+    return this;
   }
 
   /**
    * Retrieves the value associated with the given key
-   * @param {string} key - The key to look up
+   * @param {*} key - The key to look up
    * @returns {any|undefined} The value if found, undefined otherwise
    */
   get(key) {
-    const index = this._hash(key);
-    const bucket = this._buckets[index];
-
-    if (!bucket) return undefined;
-
-    // Linear search within bucket for matching key
-    for (const item of bucket) {
-      if (item.key === key) return item.value;
-    }
-
-    return undefined;
+    const value = this._lookup(key);
+    return value === MISSING ? undefined : value;
   }
 
   /**
    * Checks if a key exists in the HashMap
-   * @param {string} key - The key to check
+   * Also true for keys stored with an undefined value
+   * @param {*} key - The key to check
    * @returns {boolean} True if key exists, false otherwise
    */
   has(key) {
-    return this.get(key) !== undefined;
+    return this._lookup(key) !== MISSING;
   }
 
   /**
    * Removes a key-value pair from the HashMap
-   * Uses swap-and-pop optimization to avoid O(n) array shifting
-   * @param {string} key - The key to remove
+   * Shrinks the table afterwards if load fell below the minimum load factor
+   * @param {*} key - The key to remove
    * @returns {boolean} True if removed, false if key not found
    */
   remove(key) {
-    if (this.has(key)) {
-      const index = this._hash(key);
-      const bucket = this._buckets[index];
-
-      // Find and remove the key using swap-and-pop technique
-      for (let i = 0; i < bucket.length; i++) {
-        const item = bucket[i];
-        if (item.key === key) {
-          // Swap with last element and pop (O(1) removal)
-          bucket[i] = bucket[bucket.length - 1];
-          bucket.pop();
-          this._size--;
-          console.log(`Key ${key} removed from bucket [${index}]`);
-          this._printBuckets(this._buckets, this._capacity);
-          return true;
-        }
-      }
+    this._rehashStep();
+
+    const hash = this._hash(key);
+    let index = this._store.delete(key, hash);
+    if (index === -1 && this._oldStore) {
+      index = this._oldStore.delete(key, hash);
     }
+    if (index === -1) return false;
+
+    this._writes++;
+    this._emit("remove", () => ({ key }));
+
+    if (this._needsShrink()) {
+      this._shrink();
+    }
+    return true;
+  }
 
-    return false;
+  /**
+   * Removes a key-value pair (Map-compatible alias of remove())
+   * @param {*} key - The key to remove
+   * @returns {boolean} True if removed, false if key not found
+   */
+  delete(key) {
+    return this.remove(key);
   }
 
   /**
@@ -219,106 +1609,431 @@ class HashMap {
    * @returns {number} Number of entries
    */
   length() {
-    return this._size;
+    return this._store.size + (this._oldStore ? this._oldStore.size : 0);
+  }
+
+  /**
+   * Number of key-value pairs, as with Map.prototype.size
+   * @type {number}
+   */
+  get size() {
+    return this.length();
   }
 
   /**
    * Removes all key-value pairs from the HashMap
+   * The table goes back to its initial capacity
    */
   clear() {
-    console.log("Clearing ALL entries from ALL buckets");
-    this._buckets = new Array(this._capacity);
-    this._size = 0;
+    const size = this.length();
+    this._store = this._createStore(this._initialCapacity);
+    this._oldStore = null;
+    this._writes++;
+    this._emit("clear", () => ({ size }));
   }
 
   /**
-   * Returns an array of all keys in the HashMap
-   * @returns {Array<string>} Array of keys
+   * Reports table metrics for spotting bad key distributions
+   * For separate chaining a chain is a bucket, and the histogram also counts
+   * empty buckets. For open addressing the chain of an entry is the number of
+   * slots probed to reach it. During incremental rehashing the metrics
+   * describe the new table; pendingRehash counts entries not yet moved.
+   * @returns {Object} Stats object:
+   *   { size, capacity, loadFactor, resizeCount, tombstones, treeBuckets,
+   *     pendingRehash, longestChain, histogram } where histogram[length] is
+   *   the number of chains of that length
+   * @example
+   * map.stats().histogram; // e.g. [5, 8, 3] - 5 empty, 8 single, 3 pairs
    */
-  keys() {
-    console.log(`Print ALL Keys:`);
-    const keys = [];
+  stats() {
+    const store = this._store;
+    const histogram = [];
+    for (const length of store.chainLengths()) {
+      while (histogram.length <= length) histogram.push(0);
+      histogram[length]++;
+    }
 
-    // Iterate through all buckets and collect keys
-    this._buckets.forEach((bucket) => {
-      if (bucket) {
-        bucket.forEach((item) => keys.push(item.key));
-      }
-    });
+    return {
+      size: this.length(),
+      capacity: store.capacity,
+      loadFactor: this.length() / store.capacity,
+      resizeCount: this._resizeCount,
+      tombstones: store.tombstones,
+      treeBuckets: store.treeBuckets,
+      pendingRehash: this._oldStore ? this._oldStore.size : 0,
+      longestChain: Math.max(0, histogram.length - 1),
+      histogram,
+    };
+  }
 
-    console.log(keys);
-    return keys;
+  /**
+   * Returns the settings needed to recreate this map's table
+   * The hash and equals functions cannot be saved and must be passed again
+   * when restoring. A fixed seed is saved so the restored map hashes the
+   * same way; a random one is not, and the restored map draws a new one.
+   * @returns {Object} Constructor options plus the current capacity
+   */
+  _config() {
+    const config = {
+      strategy: this._strategy,
+      capacity: this._store.capacity,
+      initialCapacity: this._initialCapacity,
+      loadFactor: this._loadFactor,
+      growthFactor: this._growthFactor,
+      minLoadFactor: this._minLoadFactor,
+      incremental: this._incremental,
+      rehashStep: this._rehashStepSize,
+    };
+    if (this._fixedSeed !== undefined) config.seed = this._fixedSeed;
+    return config;
   }
 
   /**
-   * Returns an array of all values in the HashMap
-   * @returns {Array<any>} Array of values
+   * Checks that a saved capacity is one this map could have grown to
+   * Capacities are validated before the table is allocated, so a corrupted
+   * or hostile snapshot cannot request a huge one.
+   * @param {*} capacity - Saved capacity
+   * @param {number} count - Number of saved entries
+   * @param {string} error - Message prefix for errors
+   * @throws {Error} If the capacity is not an integer up to MAX_CAPACITY,
+   *   is too small for the entries at the load factor, or is not a power of
+   *   two although the initial capacity is one and the growth factor is 2
    */
-  values() {
-    console.log(`Print ALL Values:`);
-    const values = [];
+  _checkCapacity(capacity, count, error) {
+    if (
+      !Number.isInteger(capacity) ||
+      capacity < 1 ||
+      capacity > MAX_CAPACITY
+    ) {
+      throw new Error(
+        `${error}: capacity must be a positive integer up to ${MAX_CAPACITY}`
+      );
+    }
+    // Growth is checked before each insert, so a table can hold one extra
+    if (count > capacity * this._loadFactor + 1) {
+      throw new Error(
+        `${error}: capacity ${capacity} is too small for ${count} entries`
+      );
+    }
+    const isPowerOfTwo = (n) => (n & (n - 1)) === 0;
+    if (
+      this._growthFactor === 2 &&
+      isPowerOfTwo(this._initialCapacity) &&
+      !isPowerOfTwo(capacity)
+    ) {
+      throw new Error(`${error}: capacity ${capacity} is not a power of two`);
+    }
+  }
+
+  /**
+   * Creates a map with a saved table configuration and fills it directly,
+   * without going through set() or resizing
+   * @param {Object} config - Result of _config()
+   * @param {Iterable<Array>} entries - Saved [key, value] pairs
+   * @param {Object} options - Caller options, which take precedence
+   * @param {string} error - Message prefix for errors
+   * @returns {HashMap} Restored map
+   * @throws {Error} If the capacity could not have been reached by the map
+   *   or a key is repeated
+   */
+  static _restore(config, entries, options, error) {
+    const { capacity, ...savedOptions } = config;
+    const map = new this({ ...savedOptions, ...options });
+    const pairs = [...entries];
+    map._checkCapacity(capacity, pairs.length, error);
+
+    map._store = map._createStore(capacity);
+    for (const [key, value] of pairs) {
+      if (!map._insertWithoutResize(key, value)) {
+        throw new Error(`${error}: duplicate key ${String(key)}`);
+      }
+    }
+    return map;
+  }
 
-    // Iterate through all buckets and collect values
-    this._buckets.forEach((bucket) => {
-      if (bucket) {
-        bucket.forEach((item) => values.push(item.value));
+  /**
+   * Converts the map to a plain object that keeps its table configuration
+   * Called automatically by JSON.stringify. Keys must survive a JSON round
+   * trip: strings, finite numbers, booleans, null, or plain objects/arrays
+   * (restored as equal copies, useful with custom hash/equals). Values
+   * follow the usual JSON.stringify rules, e.g. undefined becomes null.
+   * @returns {Object} Object of the form
+   *   { version, strategy, capacity, ..., entries: [[key, value], ...] }
+   * @throws {Error} If a key cannot be represented in JSON
+   */
+  toJSON() {
+    const entries = [];
+    for (const [key, value] of this._entries()) {
+      const type = typeof key;
+      if (
+        !(type === "string" || type === "boolean" || key === null) &&
+        !(type === "number" && Number.isFinite(key)) &&
+        !(type === "object" && key !== null)
+      ) {
+        throw new Error(`Key ${String(key)} cannot be represented in JSON`);
       }
-    });
+      entries.push([key, value]);
+    }
+    return { version: SNAPSHOT_VERSION, ...this._config(), entries };
+  }
+
+  /**
+   * Recreates a map saved with toJSON(), at its saved capacity
+   * @param {Object|string} json - Result of toJSON(), or its JSON string
+   * @param {Object} [options] - Constructor options overriding the saved
+   *   ones; pass hash/equals here if the original map used custom ones
+   * @returns {HashMap} Map of the class fromJSON was called on
+   * @throws {Error} If the input is malformed or from an unsupported version
+   */
+  static fromJSON(json, options = {}) {
+    if (typeof json === "string") json = JSON.parse(json);
+    if (json === null || typeof json !== "object") {
+      throw new Error("Invalid HashMap JSON: expected an object");
+    }
+    if (json.version !== SNAPSHOT_VERSION) {
+      throw new Error(
+        `Invalid HashMap JSON: unsupported version ${String(json.version)}`
+      );
+    }
+    if (
+      !Array.isArray(json.entries) ||
+      !json.entries.every((e) => Array.isArray(e) && e.length === 2)
+    ) {
+      throw new Error(
+        "Invalid HashMap JSON: entries must be [key, value] pairs"
+      );
+    }
+
+    const { version, entries, ...config } = json;
+    return this._restore(config, entries, options, "Invalid HashMap JSON");
+  }
+
+  /**
+   * Encodes the map in a compact, versioned binary format
+   * Layout: "HMAP", version byte, table configuration, entry count, tagged
+   * keys and values, then a checksum. Values may be undefined, null,
+   * booleans, numbers, strings, bigints, or JSON-compatible objects and
+   * arrays (restored as equal copies).
+   * @returns {Uint8Array} Snapshot bytes
+   * @throws {Error} If a key or value is a symbol or function
+   */
+  serialize() {
+    const config = this._config();
+    const writer = new BinaryWriter();
+
+    BINARY_MAGIC.forEach((byte) => writer.uint8(byte));
+    writer.uint8(SNAPSHOT_VERSION);
+    writer.string(config.strategy);
+    writer.uint32(config.capacity);
+    writer.uint32(config.initialCapacity);
+    writer.float64(config.loadFactor);
+    writer.float64(config.growthFactor);
+    writer.float64(config.minLoadFactor);
+    writer.uint8(config.incremental ? 1 : 0);
+    writer.uint32(config.rehashStep);
+    // Seeds are safe integers, which a float64 holds exactly
+    writer.uint8(config.seed === undefined ? 0 : 1);
+    if (config.seed !== undefined) writer.float64(config.seed);
 
-    console.log(values);
-    return values;
+    writer.uint32(this.length());
+    for (const [key, value] of this._entries()) {
+      writer.value(key);
+      writer.value(value);
+    }
+    return writer.finish();
   }
 
   /**
-   * Returns an array of all key-value pairs as formatted strings
-   * @returns {Array<string>} Array of formatted entries "[key, value]"
+   * Recreates a map saved with serialize(), at its saved capacity
+   * @param {Uint8Array|ArrayBuffer} bytes - Result of serialize()
+   * @param {Object} [options] - Constructor options overriding the saved
+   *   ones; pass hash/equals here if the original map used custom ones
+   * @returns {HashMap} Map of the class deserialize was called on
+   * @throws {Error} If the input is not a HashMap snapshot, comes from an
+   *   unsupported version, or is truncated or corrupted
    */
-  entries() {
-    console.log(`Print ALL Entries:`);
+  static deserialize(bytes, options = {}) {
+    if (bytes instanceof ArrayBuffer) bytes = new Uint8Array(bytes);
+    if (!(bytes instanceof Uint8Array)) {
+      throw new Error("Invalid serialized HashMap: expected a Uint8Array");
+    }
+    const error = "Invalid serialized HashMap";
+    if (
+      bytes.length < BINARY_MAGIC.length + 1 ||
+      BINARY_MAGIC.some((byte, i) => bytes[i] !== byte)
+    ) {
+      throw new Error(`${error}: not a HashMap snapshot`);
+    }
+    const version = bytes[BINARY_MAGIC.length];
+    if (version !== SNAPSHOT_VERSION) {
+      throw new Error(`${error}: unsupported version ${version}`);
+    }
+    if (
+      bytes.length < BINARY_MAGIC.length + 5 ||
+      checksum(bytes.subarray(0, bytes.length - 4)) !==
+        new DataView(bytes.buffer, bytes.byteOffset).getUint32(
+          bytes.length - 4,
+          true
+        )
+    ) {
+      throw new Error(`${error}: checksum mismatch (truncated or corrupted)`);
+    }
+
+    const reader = new BinaryReader(bytes.subarray(0, bytes.length - 4));
+    reader.skip(BINARY_MAGIC.length + 1); // Magic and version, checked above
+    const config = {
+      strategy: reader.string(),
+      capacity: reader.uint32(),
+      initialCapacity: reader.uint32(),
+      loadFactor: reader.float64(),
+      growthFactor: reader.float64(),
+      minLoadFactor: reader.float64(),
+      incremental: reader.uint8() === 1,
+      rehashStep: reader.uint32(),
+    };
+    if (reader.uint8() === 1) config.seed = reader.float64();
+
+    const count = reader.uint32();
     const entries = [];
+    for (let i = 0; i < count; i++) {
+      entries.push([reader.value(), reader.value()]);
+    }
+    if (!reader.done) throw new Error(`${error}: trailing bytes`);
 
-    // Iterate through all buckets and collect formatted entries
-    this._buckets.forEach((bucket) => {
-      if (bucket) {
-        bucket.forEach((item) => entries.push(`[${item.key}, ${item.value}]`));
-      }
-    });
+    return this._restore(config, entries, options, error);
+  }
+
+  /**
+   * Iterates over keys
+   * Order follows the table layout: it is deterministic for a given
+   * sequence of operations, but unlike Map it is not insertion order and
+   * changes when the table resizes. Modifying the map during iteration is
+   * safe: every entry present when iteration starts is visited exactly once
+   * unless it is removed first, updated values are seen, and entries added
+   * during iteration may or may not be visited. An iterator only holds a
+   * copy of the bucket or probe cluster it is in.
+   * @yields {*} Keys
+   */
+  *keys() {
+    for (const [key] of this._entries()) yield key;
+  }
+
+  /**
+   * Iterates over values, in the same order as keys()
+   * @yields {any} Values
+   */
+  *values() {
+    for (const [, value] of this._entries()) yield value;
+  }
+
+  /**
+   * Iterates over [key, value] pairs, in the same order as keys()
+   * @yields {Array} [key, value]
+   */
+  *entries() {
+    yield* this._entries();
+  }
 
-    console.log(entries);
-    return entries;
+  /**
+   * Iterates over [key, value] pairs, so a HashMap works wherever a Map does
+   * @returns {Iterator<Array>} Same as entries()
+   */
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Calls a callback for every entry, in the same order as keys()
+   * @param {Function} callback - Called with (value, key, map), as with Map
+   * @param {*} [thisArg] - Value to use as this when calling callback
+   */
+  forEach(callback, thisArg) {
+    if (typeof callback !== "function") {
+      throw new Error("forEach callback must be a function");
+    }
+    for (const [key, value] of this._entries()) {
+      callback.call(thisArg, value, key, this);
+    }
+  }
+
+  /**
+   * Copies the entries into a native Map
+   * @returns {Map} New Map with the same entries
+   */
+  toMap() {
+    return new Map(this._entries());
+  }
+
+  /**
+   * Copies the entries into a plain object
+   * Keys other than strings and symbols are converted to strings, so
+   * distinct keys such as 1 and "1" collapse into one property
+   * @returns {Object} New object with one property per entry
+   */
+  toObject() {
+    return Object.fromEntries(this._entries());
+  }
+
+  /**
+   * Tag shown by Object.prototype.toString, e.g. "[object HashMap]"
+   * @type {string}
+   */
+  get [Symbol.toStringTag]() {
+    return "HashMap";
   }
 }
 
-// Test suite demonstrating HashMap functionality
-const test = new HashMap(); // Create HashMap with default capacity of 16
-
-console.log("Load entries");
-test.set("apple", "red");
-test.set("banana", "yellow");
-test.set("carrot", "orange");
-test.set("dog", "brown");
-test.set("elephant", "gray");
-test.set("frog", "green");
-test.set("grape", "purple");
-test.set("hat", "black");
-test.set("ice cream", "white");
-test.set("jacket", "blue");
-test.set("kite", "pink");
-test.set("lion", "golden");
-
-// Display current bucket structure
-test._printBuckets(test._buckets);
-
-console.log(`Map size -> ${test.length()}`);
-
-console.log('Modify value for key "kite"');
-test.set("kite", "blue"); // Update existing key
-
-test.set("moon", "silver"); // This might trigger resize due to load factor
-console.log(`Map size -> ${test.length()}`);
-
-// Test utility methods
-test.keys(); // Print all keys
-test.values(); // Print all values
-test.entries(); // Print all entries
-test._printBuckets(test._buckets); // Final bucket structure
\ No newline at end of file
+/**
+ * Storage backends selectable with the `strategy` option
+ * @type {Object<string, Function>}
+ */
+HashMap.strategies = {
+  chained: ChainedStore,
+  open: OpenAddressingStore,
+};
+
+module.exports = { HashMap, isIterable, forEachEntry };
+
+// Test suite demonstrating HashMap functionality (runs only when executed directly)
+if (require.main === module) {
+  // Create HashMap with default capacity of 16; the fixed seed keeps the
+  // bucket layout printed below the same on every run
+  const test = new HashMap({ seed: 1 });
+
+  // Report resizes as they happen
+  test.on("resize", ({ count, from, to }) =>
+    console.log(`\n🔄 RESIZE ${count}: ${from} -> ${to}`)
+  );
+
+  console.log("Load entries");
+  test.set("apple", "red");
+  test.set("banana", "yellow");
+  test.set("carrot", "orange");
+  test.set("dog", "brown");
+  test.set("elephant", "gray");
+  test.set("frog", "green");
+  test.set("grape", "purple");
+  test.set("hat", "black");
+  test.set("ice cream", "white");
+  test.set("jacket", "blue");
+  test.set("kite", "pink");
+  test.set("lion", "golden");
+
+  // Display current bucket structure
+  test._printBuckets();
+
+  console.log(`Map size -> ${test.length()}`);
+
+  console.log('Modify value for key "kite"');
+  test.set("kite", "blue"); // Update existing key
+
+  test.set("moon", "silver"); // This might trigger resize due to load factor
+  console.log(`Map size -> ${test.length()}`);
+
+  // Test utility methods
+  console.log("Keys:", [...test.keys()]);
+  console.log("Values:", [...test.values()]);
+  console.log("Entries:", [...test.entries()]);
+  test._printBuckets(); // Final bucket structure
+  console.log("Stats:", test.stats());
+}
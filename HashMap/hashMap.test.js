@@ -0,0 +1,434 @@
+const { HashMap } = require("./hashMap.js");
+
+const strategies = Object.keys(HashMap.strategies);
+
+function fill(map, count) {
+  for (let i = 0; i < count; i++) map.set(`key-${i}`, i);
+  return map;
+}
+
+test("Test case 1: Keys of any type follow SameValueZero", () => {
+  for (const strategy of strategies) {
+    const map = new HashMap({ strategy });
+    const object = { a: 1 };
+    const fn = () => 1;
+    const symbol = Symbol("key");
+    const keys = [1, "1", 1.5, 10n, true, object, fn, NaN, -0, symbol, null];
+    keys.forEach((key, i) => map.set(key, i));
+    map.set(undefined, "undefined");
+
+    keys.forEach((key, i) => expect(map.get(key)).toBe(i));
+    expect(map.get(0)).toBe(keys.indexOf(-0));
+    expect(map.get({ a: 1 })).toBeUndefined(); // Objects match by identity
+    expect(map.get(Symbol("key"))).toBeUndefined();
+    expect(map.get(undefined)).toBe("undefined");
+    expect(map.size).toBe(keys.length + 1);
+    expect(map.delete(object)).toBe(true);
+    expect(map.has(object)).toBe(false);
+  }
+});
+
+test("Test case 2: Custom hash and equals define key identity", () => {
+  for (const strategy of strategies) {
+    const points = new HashMap({
+      strategy,
+      hash: (p) => p.x * 31 + p.y, // Negative hashes are allowed
+      equals: (a, b) => a.x === b.x && a.y === b.y,
+    });
+    points.set({ x: 1, y: 2 }, "A").set({ x: -5, y: 2 }, "B");
+    points.set({ x: 1, y: 2 }, "A2");
+
+    expect(points.get({ x: 1, y: 2 })).toBe("A2");
+    expect(points.get({ x: -5, y: 2 })).toBe("B");
+    expect(points.size).toBe(2);
+  }
+
+  expect(() => new HashMap({ hash: () => 1.5 }).set(1, 1)).toThrow(
+    "hash(key) must return an integer"
+  );
+});
+
+test("Test case 3: Both storage strategies behave like Map", () => {
+  const random = (() => {
+    let seed = 7;
+    return () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+  })();
+
+  for (const strategy of strategies) {
+    // Clustered and colliding hashes stress probing and tombstones
+    for (const hash of [undefined, () => 3, (key) => (key % 5) - 2]) {
+      const map = new HashMap({ strategy, hash, initialCapacity: 2 });
+      const reference = new Map();
+      for (let i = 0; i < 2000; i++) {
+        const key = Math.floor(random() * 300);
+        const op = random();
+        if (op < 0.5) {
+          map.set(key, i);
+          reference.set(key, i);
+        } else if (op < 0.8) {
+          expect(map.delete(key)).toBe(reference.delete(key));
+        } else {
+          expect(map.get(key)).toBe(reference.get(key));
+        }
+      }
+
+      expect(map.size).toBe(reference.size);
+      expect(new Map(map)).toEqual(reference);
+      const { size, tombstones, capacity } = map.stats();
+      expect(size + tombstones).toBeLessThanOrEqual(capacity * 0.75 + 1);
+    }
+  }
+
+  expect(() => new HashMap({ strategy: "cuckoo" })).toThrow(
+    'Unknown strategy "cuckoo", expected one of: chained, open'
+  );
+  expect(() => new HashMap({ strategy: "open", loadFactor: 1 })).toThrow(
+    "below 1 for open addressing"
+  );
+  expect(new HashMap({ strategy: "chained", loadFactor: 2 }).size).toBe(0);
+});
+
+test("Test case 4: Tables grow, shrink and rehash incrementally as configured", () => {
+  for (const strategy of strategies) {
+    const options = { strategy, initialCapacity: 4, minLoadFactor: 0.2 };
+    const eager = fill(
+      new HashMap({ ...options, growthFactor: 4, minLoadFactor: 0.1 }),
+      100
+    );
+    expect(eager.stats().capacity).toBe(256);
+    for (let i = 0; i < 100; i++) eager.delete(`key-${i}`);
+    expect(eager.stats().capacity).toBe(4); // Never below initialCapacity
+
+    const incremental = new HashMap({ ...options, incremental: true });
+    fill(incremental, 800); // Shortly after the table grew to 2048
+    expect(incremental.stats().pendingRehash).toBeGreaterThan(0);
+    for (let i = 0; i < 800; i++) {
+      expect(incremental.get(`key-${i}`)).toBe(i); // Visible mid-rehash
+    }
+    expect(incremental.stats().pendingRehash).toBe(0);
+    expect(incremental.stats().loadFactor).toBeLessThanOrEqual(0.75);
+
+    incremental.clear();
+    expect(incremental.stats().capacity).toBe(4);
+  }
+
+  expect(() => new HashMap({ growthFactor: 1 })).toThrow(
+    "Growth factor must be greater than 1"
+  );
+  expect(() => new HashMap({ minLoadFactor: 0.5 })).toThrow(
+    "Minimum load factor must be non-negative"
+  );
+  expect(() => new HashMap({ rehashStep: 0 })).toThrow(
+    "Rehash step must be a positive integer"
+  );
+});
+
+test("Test case 5: Events report writes and resizes instead of logging", () => {
+  for (const strategy of strategies) {
+    const map = new HashMap({ strategy, initialCapacity: 2 });
+    const events = [];
+    const onSet = ({ key, added }) => events.push(["set", key, added]);
+    map
+      .on("set", onSet)
+      .on("remove", ({ key }) => events.push(["remove", key]))
+      .on("resize", ({ from, to }) => events.push(["resize", from, to]))
+      .on("clear", ({ size }) => events.push(["clear", size]));
+    const log = jest.spyOn(console, "log").mockImplementation(() => {});
+
+    map.set("a", 1).set("b", 2).set("a", 3);
+    map.delete("missing");
+    map.delete("a");
+    map.off("set", onSet);
+    map.set("c", 4);
+    map.clear();
+
+    expect(log).not.toHaveBeenCalled();
+    log.mockRestore();
+    expect(events).toEqual([
+      ["set", "a", true],
+      ["set", "b", true],
+      ["resize", 2, 4],
+      ["set", "a", false],
+      ["remove", "a"],
+      ["clear", 2],
+    ]);
+  }
+
+  expect(() => new HashMap().on("nope", () => {})).toThrow(
+    'Unknown event "nope", expected one of: resize, set, remove, clear'
+  );
+  expect(() => new HashMap().on("set", 1)).toThrow(
+    "Event handler must be a function"
+  );
+});
+
+test("Test case 6: stats() describes the table", () => {
+  const map = fill(new HashMap({ initialCapacity: 16, seed: 1 }), 10);
+  const stats = map.stats();
+
+  expect(stats.size).toBe(10);
+  expect(stats.capacity).toBe(16);
+  expect(stats.loadFactor).toBe(10 / 16);
+  expect(stats.resizeCount).toBe(0);
+  expect(stats.pendingRehash).toBe(0);
+  expect(stats.longestChain).toBe(stats.histogram.length - 1);
+  // Chain lengths add up to the capacity and to the entry count
+  expect(stats.histogram.reduce((sum, count) => sum + count, 0)).toBe(16);
+  expect(
+    stats.histogram.reduce((sum, count, length) => sum + count * length, 0)
+  ).toBe(10);
+
+  fill(map, 100);
+  expect(map.stats().capacity).toBe(256);
+  expect(map.stats().resizeCount).toBe(4);
+});
+
+test("Test case 7: HashMap can stand in for Map", () => {
+  const native = new Map([
+    ["a", 1],
+    [2, "b"],
+  ]);
+  const map = new HashMap(native, { strategy: "open" });
+
+  expect(map.set("c", 3)).toBe(map);
+  expect(map.size).toBe(3);
+  expect(map.toMap()).toEqual(new Map(map));
+  expect(new Map(map).get(2)).toBe("b");
+  expect(HashMap.from(map).get("a")).toBe(1);
+  expect(HashMap.fromObject({ x: 1 }).toObject()).toEqual({ x: 1 });
+  expect(Object.prototype.toString.call(map)).toBe("[object HashMap]");
+
+  const calls = [];
+  const receiver = {};
+  map.forEach(function (value, key, owner) {
+    calls.push([key, value, owner === map, this === receiver]);
+  }, receiver);
+  expect(calls.sort()).toEqual([
+    [2, "b", true, true],
+    ["a", 1, true, true],
+    ["c", 3, true, true],
+  ]);
+
+  expect(map.delete("a")).toBe(true);
+  expect(map.delete("a")).toBe(false);
+  expect(map.clear()).toBeUndefined();
+  expect(map.size).toBe(0);
+  expect(() => map.forEach()).toThrow("forEach callback must be a function");
+  expect(() => new HashMap([1])).toThrow(
+    "Iterator value is not an entry object"
+  );
+});
+
+test("Test case 8: A dropped iterator does not block shrinking or rehashing", () => {
+  for (const strategy of strategies) {
+    const map = fill(new HashMap({ strategy, minLoadFactor: 0.2 }), 200);
+    const iterator = map.keys();
+    iterator.next(); // Started, then abandoned without finishing
+
+    for (let i = 0; i < 195; i++) map.delete(`key-${i}`);
+    expect(map.stats().capacity).toBe(16);
+
+    const incremental = fill(new HashMap({ strategy, incremental: true }), 13);
+    incremental.entries().next();
+    incremental.set("one more", 0); // Starts an incremental resize
+    for (let i = 0; i < 20; i++) incremental.get("key-0");
+    expect(incremental.stats().pendingRehash).toBe(0);
+  }
+});
+
+test("Test case 9: Iteration visits every entry once across layout changes", () => {
+  for (const strategy of strategies) {
+    for (const incremental of [false, true]) {
+      const options = { strategy, incremental, minLoadFactor: 0.2 };
+      const map = fill(new HashMap(options), 500);
+      const seen = new Set();
+      const deleted = new Set();
+      let added = 0;
+
+      // Growing, shrinking and rehash steps all happen mid-iteration
+      for (const [key, value] of map) {
+        expect(seen.has(key) || deleted.has(key)).toBe(false);
+        seen.add(key);
+        if (!key.startsWith("key-")) continue; // Added entries may be seen
+        map.get(key);
+        if (value % 2 === 0 && map.delete(`key-${value + 1}`)) {
+          deleted.add(`key-${value + 1}`);
+        }
+        if (value < 50) {
+          map.set(`extra-${value}`, value);
+          added++;
+        }
+      }
+
+      for (let i = 0; i < 500; i++) {
+        const key = `key-${i}`;
+        if (!deleted.has(key)) expect(seen.has(key)).toBe(true);
+      }
+      expect(deleted.size).toBeGreaterThan(0);
+      expect(added).toBeGreaterThan(0);
+      expect(map.size).toBe(500 - deleted.size + added);
+    }
+  }
+});
+
+test("Test case 10: Iterators skip removed keys and see updated values", () => {
+  const map = new HashMap([
+    ["a", 1],
+    ["b", 2],
+    ["c", 3],
+  ]);
+  const [first, second, third] = [...map.keys()];
+  const entries = [];
+  for (const entry of map) {
+    if (entries.length === 0) {
+      map.set(second, 20);
+      map.delete(third);
+    }
+    entries.push(entry);
+  }
+
+  expect(entries).toEqual([
+    [first, map.get(first)],
+    [second, 20],
+  ]);
+});
+
+test("Test case 11: Iterators walk the live table instead of copying it", () => {
+  const map = new HashMap({ strategy: "chained", hash: (n) => n });
+  for (let i = 0; i < 4; i++) map.set(i, i);
+
+  const keys = [];
+  for (const key of map.keys()) {
+    keys.push(key);
+    if (key === 0) map.set(10, 10); // Lands in a bucket not walked yet
+    if (key === 1) map.delete(3);
+  }
+  expect(keys).toEqual([0, 1, 2, 10]);
+
+  // Early exit, then a growth and a shrink while paused
+  const iterator = map.keys();
+  expect(iterator.next().value).toBe(0);
+  for (let i = 100; i < 200; i++) map.set(i, i);
+  for (let i = 100; i < 200; i++) map.delete(i);
+  expect([...iterator].sort((a, b) => a - b)).toEqual([1, 2, 10]);
+});
+
+test("Test case 12: Snapshots with an impossible capacity are rejected", () => {
+  const snapshot = (capacity, entries = [], options = {}) =>
+    JSON.stringify({
+      ...fill(new HashMap(options), 0).toJSON(),
+      capacity,
+      entries,
+    });
+
+  for (const capacity of [4e9, 2 ** 31, 0, 1.5, "16", 24]) {
+    expect(() => HashMap.fromJSON(snapshot(capacity))).toThrow(
+      "Invalid HashMap JSON: capacity"
+    );
+  }
+  const entries = Array.from({ length: 20 }, (_, i) => [`key-${i}`, i]);
+  expect(() => HashMap.fromJSON(snapshot(16, entries))).toThrow(
+    "capacity 16 is too small for 20 entries"
+  );
+  expect(() => new HashMap({ initialCapacity: 2 ** 31 })).toThrow(
+    "Initial capacity must be a positive integer"
+  );
+
+  // Other configurations reach other capacities
+  const tripling = snapshot(30, entries, {
+    initialCapacity: 10,
+    growthFactor: 3,
+  });
+  expect(HashMap.fromJSON(tripling).stats().capacity).toBe(30);
+  const dense = snapshot(4, entries, { loadFactor: 5 });
+  expect(HashMap.fromJSON(dense).size).toBe(20);
+});
+
+test("Test case 13: Fixed seeds give reproducible layouts", () => {
+  const keys = ["x", "y", "z", 1, 2.5, -0, NaN, true, null, undefined, 10n];
+  const a = new HashMap({ seed: 42 });
+  const b = new HashMap({ seed: 42 });
+  keys.forEach((key) => {
+    a.set(key, 1);
+    b.set(key, 1);
+  });
+
+  expect([...a.keys()]).toEqual([...b.keys()]);
+  expect(a._hash("Aa")).not.toBe(a._hash("BB")); // Equal Java hashCodes
+  expect(a._hash(0)).toBe(a._hash(-0));
+  expect(new HashMap({ seed: 2 ** 53 - 1 }).size).toBe(0);
+  expect(() => new HashMap({ seed: -1 })).toThrow(
+    "Seed must be a non-negative safe integer"
+  );
+  expect(() => new HashMap({ seed: 1.5 })).toThrow("Seed");
+});
+
+test("Test case 14: Colliding keys are treeified and stay correct", () => {
+  const symbol = Symbol("key");
+  const keys = [NaN, -0, null, undefined, true, 5n, symbol, Symbol.for("a")];
+  for (let i = 0; i < 200; i++) keys.push(i % 2 === 0 ? `s${i}` : { i });
+
+  for (const incremental of [false, true]) {
+    const map = new HashMap({ hash: () => 7, incremental });
+    const reference = new Map();
+    keys.forEach((key, i) => {
+      map.set(key, i);
+      reference.set(key, i);
+    });
+    expect(map.stats().treeBuckets).toBe(1);
+    expect(map.has(0)).toBe(true);
+    expect(map.has({ i: 1 })).toBe(false);
+
+    let n = 0;
+    for (const [key] of map) {
+      if (n++ % 2 === 0) {
+        map.delete(key);
+        reference.delete(key);
+      }
+    }
+    expect(new Map(map)).toEqual(reference);
+
+    // Shrinking chains go back to lists
+    for (const key of [...reference.keys()].slice(3)) map.delete(key);
+    expect(map.stats().treeBuckets).toBe(0);
+    expect(map.size).toBe(3);
+  }
+
+  // Custom equals cannot be ordered, so those chains are never treeified
+  const custom = new HashMap({ hash: () => 1, equals: (x, y) => x === y });
+  for (let i = 0; i < 20; i++) custom.set(i, i);
+  expect(custom.stats().treeBuckets).toBe(0);
+  expect(custom.get(19)).toBe(19);
+});
+
+test("Test case 15: Snapshots keep a fixed seed and the table layout", () => {
+  for (const strategy of strategies) {
+    const seed = 2 ** 40 + 7; // Uses both 32-bit key words
+    const map = fill(new HashMap({ strategy, seed }), 100);
+    const fromJSON = HashMap.fromJSON(JSON.stringify(map));
+    const fromBytes = HashMap.deserialize(map.serialize());
+
+    expect(map.toJSON().seed).toBe(seed);
+    for (const restored of [fromJSON, fromBytes]) {
+      expect(restored.toJSON().seed).toBe(seed);
+      expect(restored.stats().capacity).toBe(map.stats().capacity);
+      expect([...restored.keys()]).toEqual([...map.keys()]);
+      restored.set("after restore", 1);
+      map.set("after restore", 1);
+      expect([...restored]).toEqual([...map]);
+      map.delete("after restore");
+    }
+
+    // Caller options still take precedence over the saved seed
+    expect(HashMap.fromJSON(map.toJSON(), { seed: 3 }).toJSON().seed).toBe(3);
+  }
+});
+
+test("Test case 16: Snapshots of randomly seeded maps do not save the seed", () => {
+  const map = fill(new HashMap(), 20);
+  expect("seed" in map.toJSON()).toBe(false);
+
+  const restored = HashMap.deserialize(map.serialize());
+  expect("seed" in restored.toJSON()).toBe(false);
+  expect(new Map(restored)).toEqual(new Map(map));
+});
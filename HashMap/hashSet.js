@@ -0,0 +1,284 @@
+/**
+ * HashSet implementation backed by HashMap
+ *
+ * Features:
+ * - Same hashing, collision handling and resizing as HashMap (every element
+ *   is a HashMap key), including custom hash/equals and storage strategies
+ * - Native Set interface: add, delete, has, clear, size, forEach, iterators
+ * - Set operations against HashSets or any iterable: union, intersection,
+ *   difference, symmetricDifference, isSubsetOf, isDisjointFrom
+ *
+ * Time Complexity:
+ * - Average: O(1) for add, delete, has
+ * - O(n + m) for set operations between sets of sizes n and m
+ */
+
+const { HashMap, isIterable } = require("./hashMap.js");
+
+/**
+ * Hash set of values of any type
+ */
+class HashSet {
+  /**
+   * Creates a new HashSet
+   * @param {Iterable<*>} [values] - Initial elements
+   * @param {number|Object} [options] - HashMap options (initialCapacity,
+   *   hash, equals, strategy, ...)
+   * @example
+   * const tags = new HashSet(["a", "b"]);
+   * const points = new HashSet([], {
+   *   hash: (p) => p.x * 31 + p.y,
+   *   equals: (a, b) => a.x === b.x && a.y === b.y,
+   * });
+   */
+  constructor(values, options) {
+    if (!isIterable(values)) {
+      options = values;
+      values = [];
+    }
+
+    this._options = options; // Reused for sets derived from this one
+    this._map = new HashMap(options); // Element -> true
+
+    for (const value of values) this.add(value);
+  }
+
+  /**
+   * Creates a HashSet from an iterable
+   * @param {Iterable<*>} values - Elements
+   * @param {number|Object} [options] - HashMap options
+   * @returns {HashSet} New set
+   */
+  static from(values, options) {
+    return new this(values, options);
+  }
+
+  /**
+   * Creates an empty set with the same options as this one
+   * @returns {HashSet} New empty set
+   */
+  _spawn() {
+    return new this.constructor([], this._options);
+  }
+
+  /**
+   * Returns the argument as a HashSet that agrees with this set on equality
+   * HashSets with the same hash and equals functions are used as they are;
+   * any other iterable is copied into a new set
+   * @param {Iterable<*>} other - HashSet or iterable
+   * @returns {HashSet} Set supporting O(1) membership tests
+   * @throws {Error} If other is not iterable
+   */
+  _asSet(other) {
+    if (
+      other instanceof HashSet &&
+      other._map._hashFn === this._map._hashFn &&
+      other._map._equals === this._map._equals
+    ) {
+      return other;
+    }
+    this._assertIterable(other);
+    const set = this._spawn();
+    for (const value of other) set.add(value);
+    return set;
+  }
+
+  /**
+   * @param {*} other - Argument of a set operation
+   * @throws {Error} If other is not iterable
+   */
+  _assertIterable(other) {
+    if (!isIterable(other)) {
+      throw new Error("Expected a HashSet or another iterable");
+    }
+  }
+
+  /**
+   * Adds an element
+   * @param {*} value - Element to add
+   * @returns {HashSet} This set, for chaining
+   */
+  add(value) {
+    this._map.set(value, true);
+    return this;
+  }
+
+  /**
+   * Removes an element
+   * @param {*} value - Element to remove
+   * @returns {boolean} True if removed, false if not present
+   */
+  delete(value) {
+    return this._map.delete(value);
+  }
+
+  /**
+   * Checks if an element is present
+   * @param {*} value - Element to check
+   * @returns {boolean} True if present
+   */
+  has(value) {
+    return this._map.has(value);
+  }
+
+  /**
+   * Removes all elements
+   */
+  clear() {
+    this._map.clear();
+  }
+
+  /**
+   * Number of elements
+   * @type {number}
+   */
+  get size() {
+    return this._map.size;
+  }
+
+  /**
+   * Iterates over elements, in HashMap key order
+   * @yields {*} Elements
+   */
+  *values() {
+    yield* this._map.keys();
+  }
+
+  /**
+   * Same as values(), as with Set
+   * @yields {*} Elements
+   */
+  *keys() {
+    yield* this._map.keys();
+  }
+
+  /**
+   * Iterates over [element, element] pairs, as with Set
+   * @yields {Array} [element, element]
+   */
+  *entries() {
+    for (const value of this._map.keys()) yield [value, value];
+  }
+
+  /**
+   * Iterates over elements
+   * @returns {Iterator<*>} Same as values()
+   */
+  [Symbol.iterator]() {
+    return this.values();
+  }
+
+  /**
+   * Calls a callback for every element
+   * @param {Function} callback - Called with (value, value, set), as with Set
+   * @param {*} [thisArg] - Value to use as this when calling callback
+   */
+  forEach(callback, thisArg) {
+    if (typeof callback !== "function") {
+      throw new Error("forEach callback must be a function");
+    }
+    for (const value of this._map.keys()) {
+      callback.call(thisArg, value, value, this);
+    }
+  }
+
+  /**
+   * Returns the elements in this set, other, or both
+   * @param {Iterable<*>} other - HashSet or iterable
+   * @returns {HashSet} New set
+   * @throws {Error} If other is not iterable
+   */
+  union(other) {
+    this._assertIterable(other);
+    const result = this._spawn();
+    for (const value of this) result.add(value);
+    for (const value of other) result.add(value);
+    return result;
+  }
+
+  /**
+   * Returns the elements in both this set and other
+   * @param {Iterable<*>} other - HashSet or iterable
+   * @returns {HashSet} New set
+   * @throws {Error} If other is not iterable
+   */
+  intersection(other) {
+    const set = this._asSet(other);
+    // Probe the larger set while walking the smaller one
+    const [small, large] = set.size < this.size ? [set, this] : [this, set];
+    const result = this._spawn();
+    for (const value of small) {
+      if (large.has(value)) result.add(value);
+    }
+    return result;
+  }
+
+  /**
+   * Returns the elements in this set but not in other
+   * @param {Iterable<*>} other - HashSet or iterable
+   * @returns {HashSet} New set
+   * @throws {Error} If other is not iterable
+   */
+  difference(other) {
+    const set = this._asSet(other);
+    const result = this._spawn();
+    for (const value of this) {
+      if (!set.has(value)) result.add(value);
+    }
+    return result;
+  }
+
+  /**
+   * Returns the elements in exactly one of this set and other
+   * @param {Iterable<*>} other - HashSet or iterable
+   * @returns {HashSet} New set
+   * @throws {Error} If other is not iterable
+   */
+  symmetricDifference(other) {
+    const set = this._asSet(other);
+    const result = this.difference(set);
+    for (const value of set) {
+      if (!this.has(value)) result.add(value);
+    }
+    return result;
+  }
+
+  /**
+   * Checks if every element of this set is in other
+   * @param {Iterable<*>} other - HashSet or iterable
+   * @returns {boolean} True if this set is a subset of other
+   * @throws {Error} If other is not iterable
+   */
+  isSubsetOf(other) {
+    const set = this._asSet(other);
+    if (this.size > set.size) return false;
+    for (const value of this) {
+      if (!set.has(value)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Checks if this set and other have no element in common
+   * @param {Iterable<*>} other - HashSet or iterable
+   * @returns {boolean} True if the two share no element
+   * @throws {Error} If other is not iterable
+   */
+  isDisjointFrom(other) {
+    this._assertIterable(other);
+    for (const value of other) {
+      if (this.has(value)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Tag shown by Object.prototype.toString, e.g. "[object HashSet]"
+   * @type {string}
+   */
+  get [Symbol.toStringTag]() {
+    return "HashSet";
+  }
+}
+
+module.exports = { HashSet };
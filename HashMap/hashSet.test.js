@@ -0,0 +1,64 @@
+const { HashSet } = require("./hashSet.js");
+
+const pointOptions = {
+  hash: (p) => p.x * 31 + p.y,
+  equals: (a, b) => a.x === b.x && a.y === b.y,
+};
+
+test("Test case 1: HashSet follows the Set interface", () => {
+  const set = new HashSet([1, 2, 2, NaN]);
+  expect(set.size).toBe(3);
+  expect(set.add(3)).toBe(set);
+  expect(set.has(NaN)).toBe(true);
+  expect(set.delete(2)).toBe(true);
+  expect(set.delete(2)).toBe(false);
+  expect([...set].sort()).toEqual([1, 3, NaN].sort());
+  expect([...set.entries()].every(([a, b]) => Object.is(a, b))).toBe(true);
+
+  const seen = [];
+  set.forEach((value, same, owner) => seen.push([value, same, owner]));
+  expect(
+    seen.every(([v, same, owner]) => Object.is(v, same) && owner === set)
+  ).toBe(true);
+
+  set.clear();
+  expect(set.size).toBe(0);
+  expect(new HashSet({ strategy: "open" }).add("a").has("a")).toBe(true);
+  expect(Object.prototype.toString.call(set)).toBe("[object HashSet]");
+});
+
+test("Test case 2: Set operations accept HashSets and plain iterables", () => {
+  const a = new HashSet([1, 2, 3, 4]);
+  const b = new HashSet([3, 4, 5]);
+  const sorted = (set) => [...set].sort((x, y) => x - y);
+
+  expect(sorted(a.union(b))).toEqual([1, 2, 3, 4, 5]);
+  expect(sorted(a.intersection([4, 3, 9]))).toEqual([3, 4]);
+  expect(sorted(a.difference(b))).toEqual([1, 2]);
+  expect(sorted(a.symmetricDifference(new Set([4, 5, 6])))).toEqual([
+    1, 2, 3, 5, 6,
+  ]);
+  expect(new HashSet([3]).isSubsetOf(b)).toBe(true);
+  expect(a.isSubsetOf([1, 2, 3])).toBe(false);
+  expect(a.isDisjointFrom([7, 8])).toBe(true);
+  expect(a.isDisjointFrom(b)).toBe(false);
+  expect(sorted(a)).toEqual([1, 2, 3, 4]);
+
+  expect(() => a.union(5)).toThrow("Expected a HashSet or another iterable");
+  expect(() => a.intersection("34")).toThrow("Expected a HashSet");
+});
+
+test("Test case 3: Derived sets keep custom hash and equals", () => {
+  const points = new HashSet([{ x: 1, y: 2 }], pointOptions);
+  const union = points.union([
+    { x: 1, y: 2 },
+    { x: 3, y: 4 },
+  ]);
+
+  expect(union.size).toBe(2);
+  expect(union.has({ x: 3, y: 4 })).toBe(true);
+  expect(points.intersection([{ x: 1, y: 2 }]).size).toBe(1);
+  expect(HashSet.from([{ x: 0, y: 0 }], pointOptions).has({ x: 0, y: 0 })).toBe(
+    true
+  );
+});
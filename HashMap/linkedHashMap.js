@@ -0,0 +1,350 @@
+/**
+ * LinkedHashMap implementation: a HashMap whose entries are also threaded
+ * through a doubly linked list
+ *
+ * Features:
+ * - Predictable iteration: insertion order by default, or access order
+ *   (least recently used first) with { accessOrder: true }
+ * - moveToEnd(), first() and last() for queue- and LRU-style use
+ * - Native Map interface, like HashMap; all HashMap options (hash, equals,
+ *   strategy, seed, ...) apply to the underlying table
+ *
+ * Time Complexity:
+ * - Average: O(1) for get, set, delete, moveToEnd, first, last
+ */
+
+const { HashMap, isIterable, forEachEntry } = require("./hashMap.js");
+
+/**
+ * Represents an entry in the linked list
+ * Like a linked list node, with a prev link so any entry can be unlinked
+ * in O(1) once the hash table has found it
+ */
+class EntryNode {
+  /**
+   * @param {*} key - The key of the entry
+   * @param {any} value - The value of the entry
+   */
+  constructor(key, value) {
+    this.key = key;
+    this.value = value;
+    this.prev = null; // Toward the first entry
+    this.next = null; // Toward the last entry
+    this.removed = false; // Set once the entry leaves the map
+    this.stamp = 0; // Append order; increases along the list
+  }
+}
+
+/**
+ * Hash map that remembers the order of its entries
+ */
+class LinkedHashMap {
+  /**
+   * Creates a new LinkedHashMap
+   * @param {Iterable<Array>} [entries] - Initial [key, value] pairs
+   * @param {Object} [options] - Options; any other options are passed to
+   *   the underlying HashMap
+   * @param {boolean} [options.accessOrder=false] - Order entries from least
+   *   to most recently accessed (by get or set) instead of by insertion
+   * @example
+   * const recent = new LinkedHashMap([], { accessOrder: true });
+   * recent.set("a", 1).set("b", 2).get("a");
+   * recent.first(); // ["b", 2], the least recently used entry
+   */
+  constructor(entries, options = {}) {
+    if (!isIterable(entries)) {
+      options = entries === undefined ? {} : entries;
+      entries = [];
+    }
+    if (typeof options === "number") options = { initialCapacity: options };
+
+    const { accessOrder = false, ...mapOptions } = options;
+    this._map = new HashMap(mapOptions); // Key -> EntryNode
+    this._head = null; // First entry in iteration order
+    this._tail = null; // Last entry in iteration order
+    this._accessOrder = Boolean(accessOrder); // Reads move entries to the end
+    this._stamp = 0; // Stamp for the next appended entry
+
+    forEachEntry(entries, (key, value) => this.set(key, value));
+  }
+
+  /**
+   * Creates a LinkedHashMap from an iterable of [key, value] pairs
+   * @param {Iterable<Array>} entries - Entries, kept in iteration order
+   * @param {Object} [options] - Constructor options
+   * @returns {LinkedHashMap} New map
+   */
+  static from(entries, options) {
+    return new this(entries, options);
+  }
+
+  /**
+   * Links a node in as the last entry
+   * Time complexity: O(1)
+   * @param {EntryNode} node - Node to append
+   */
+  _append(node) {
+    node.prev = this._tail;
+    node.next = null;
+    node.stamp = this._stamp++;
+
+    // If list is empty, new node becomes both head and tail
+    if (this._tail === null) {
+      this._head = node;
+    } else {
+      this._tail.next = node;
+    }
+    this._tail = node;
+  }
+
+  /**
+   * Unlinks a node from the list
+   * The node keeps its own next link, so an iterator paused on it can
+   * still move on
+   * Time complexity: O(1)
+   * @param {EntryNode} node - Node to unlink
+   */
+  _unlink(node) {
+    if (node.prev === null) {
+      this._head = node.next;
+    } else {
+      node.prev.next = node.next;
+    }
+    if (node.next === null) {
+      this._tail = node.prev;
+    } else {
+      node.next.prev = node.prev;
+    }
+  }
+
+  /**
+   * Moves a node to the end of the list, unless it is already there
+   * @param {EntryNode} node - Node to move
+   */
+  _moveToEnd(node) {
+    if (node === this._tail) {
+      node.stamp = this._stamp++; // Counts as moved for running iterators
+      return;
+    }
+    this._unlink(node);
+    this._append(node);
+  }
+
+  /**
+   * Adds or updates a key-value pair
+   * New keys go to the end; updating an existing key keeps its position,
+   * unless the map is in access order
+   * @param {*} key - The key
+   * @param {any} value - The value to store
+   * @returns {LinkedHashMap} This map, for chaining
+   */
+  set(key, value) {
+    const node = this._map.get(key);
+    if (node !== undefined) {
+      node.value = value;
+      if (this._accessOrder) this._moveToEnd(node);
+      return this;
+    }
+
+    const created = new EntryNode(key, value);
+    this._map.set(key, created);
+    this._append(created);
+    return this;
+  }
+
+  /**
+   * Retrieves the value associated with a key
+   * In access order, this moves the entry to the end
+   * @param {*} key - The key to look up
+   * @returns {any|undefined} The value if found, undefined otherwise
+   */
+  get(key) {
+    const node = this._map.get(key);
+    if (node === undefined) return undefined;
+
+    if (this._accessOrder) this._moveToEnd(node);
+    return node.value;
+  }
+
+  /**
+   * Checks if a key exists (never changes the order)
+   * @param {*} key - The key to check
+   * @returns {boolean} True if key exists, false otherwise
+   */
+  has(key) {
+    return this._map.has(key);
+  }
+
+  /**
+   * Removes a key-value pair
+   * @param {*} key - The key to remove
+   * @returns {boolean} True if removed, false if key not found
+   */
+  delete(key) {
+    const node = this._map.get(key);
+    if (node === undefined) return false;
+
+    this._map.delete(key);
+    this._unlink(node);
+    node.removed = true;
+    return true;
+  }
+
+  /**
+   * Removes all key-value pairs
+   */
+  clear() {
+    for (let node = this._head; node !== null; node = node.next) {
+      node.removed = true;
+    }
+    this._map.clear();
+    this._head = this._tail = null;
+  }
+
+  /**
+   * Moves an entry to the end of the iteration order
+   * @param {*} key - The key to move
+   * @returns {boolean} True if moved, false if key not found
+   */
+  moveToEnd(key) {
+    const node = this._map.get(key);
+    if (node === undefined) return false;
+
+    this._moveToEnd(node);
+    return true;
+  }
+
+  /**
+   * Returns the first entry in iteration order (the eldest entry, or the
+   * least recently used in access order), without changing the order
+   * @returns {Array|undefined} [key, value], or undefined if empty
+   */
+  first() {
+    return this._head === null ? undefined : [this._head.key, this._head.value];
+  }
+
+  /**
+   * Returns the last entry in iteration order, without changing the order
+   * @returns {Array|undefined} [key, value], or undefined if empty
+   */
+  last() {
+    return this._tail === null ? undefined : [this._tail.key, this._tail.value];
+  }
+
+  /**
+   * Number of key-value pairs
+   * @type {number}
+   */
+  get size() {
+    return this._map.size;
+  }
+
+  /**
+   * Iterates over [key, value] pairs in order
+   * Removing or moving entries during iteration is safe. Moving an entry to
+   * the end (moveToEnd, or reads in access order) counts as removing and
+   * adding it again, and entries added during iteration are not visited:
+   * every entry is visited at most once, and only if it was not moved
+   * before being reached.
+   * @yields {Array} [key, value]
+   */
+  *entries() {
+    const end = this._stamp; // Entries appended from now on are not visited
+    let node = this._head;
+    while (node !== null && node.stamp < end) {
+      const { stamp, next } = node;
+      const nextStamp = next === null ? 0 : next.stamp;
+      yield [node.key, node.value];
+
+      if (!node.removed && node.stamp === stamp) {
+        node = node.next; // Still in place
+      } else if (next === null) {
+        node = null; // Was the last entry
+      } else if (next.stamp === nextStamp) {
+        node = this._skipRemoved(next, stamp, end);
+      } else {
+        node = this._firstAfter(stamp); // Both nodes moved: find our place
+      }
+    }
+  }
+
+  /**
+   * Finds the first entry still in the list, starting from a node that was
+   * in place when it was passed to an iterator
+   * Removed nodes keep their next link, so their chain leads back into the
+   * list unless one of them was moved before being removed
+   * @param {EntryNode} node - Node to start from
+   * @param {number} stamp - Stamp of the entry the iterator last visited
+   * @param {number} end - First stamp the iterator does not visit
+   * @returns {EntryNode|null} First entry after the visited one
+   */
+  _skipRemoved(node, stamp, end) {
+    while (node !== null && node.removed && node.stamp < end) {
+      node = node.next;
+    }
+    if (node !== null && node.stamp >= end) return this._firstAfter(stamp);
+    return node;
+  }
+
+  /**
+   * Finds the first entry appended after a stamp
+   * Stamps increase along the list, so this is where an iterator that
+   * visited that stamp continues
+   * Time complexity: O(n)
+   * @param {number} stamp - Stamp of the entry last visited
+   * @returns {EntryNode|null} First entry with a larger stamp
+   */
+  _firstAfter(stamp) {
+    let node = this._head;
+    while (node !== null && node.stamp <= stamp) node = node.next;
+    return node;
+  }
+
+  /**
+   * Iterates over keys in order
+   * @yields {*} Keys
+   */
+  *keys() {
+    for (const [key] of this.entries()) yield key;
+  }
+
+  /**
+   * Iterates over values in order
+   * @yields {any} Values
+   */
+  *values() {
+    for (const [, value] of this.entries()) yield value;
+  }
+
+  /**
+   * Iterates over [key, value] pairs in order
+   * @returns {Iterator<Array>} Same as entries()
+   */
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Calls a callback for every entry in order
+   * @param {Function} callback - Called with (value, key, map), as with Map
+   * @param {*} [thisArg] - Value to use as this when calling callback
+   */
+  forEach(callback, thisArg) {
+    if (typeof callback !== "function") {
+      throw new Error("forEach callback must be a function");
+    }
+    for (const [key, value] of this.entries()) {
+      callback.call(thisArg, value, key, this);
+    }
+  }
+
+  /**
+   * Tag shown by Object.prototype.toString, e.g. "[object LinkedHashMap]"
+   * @type {string}
+   */
+  get [Symbol.toStringTag]() {
+    return "LinkedHashMap";
+  }
+}
+
+module.exports = { LinkedHashMap };
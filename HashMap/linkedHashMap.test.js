@@ -0,0 +1,101 @@
+const { LinkedHashMap } = require("./linkedHashMap.js");
+
+test("Test case 1: Entries keep insertion order", () => {
+  const map = new LinkedHashMap([
+    ["b", 2],
+    ["a", 1],
+    ["c", 3],
+  ]);
+  map.set("b", 20); // Updating keeps the position
+
+  expect([...map]).toEqual([
+    ["b", 20],
+    ["a", 1],
+    ["c", 3],
+  ]);
+  expect(map.first()).toEqual(["b", 20]);
+  expect(map.last()).toEqual(["c", 3]);
+
+  expect(map.moveToEnd("b")).toBe(true);
+  expect(map.moveToEnd("missing")).toBe(false);
+  expect(map.delete("c")).toBe(true);
+  expect(map.delete("c")).toBe(false);
+  expect([...map.keys()]).toEqual(["a", "b"]);
+  expect([...map.values()]).toEqual([1, 20]);
+  expect(() => new LinkedHashMap([1])).toThrow(
+    "Iterator value is not an entry object"
+  );
+});
+
+test("Test case 2: Access order moves read and updated entries to the end", () => {
+  const recent = new LinkedHashMap([], { accessOrder: true, seed: 1 });
+  recent.set("x", 1).set("y", 2).set("z", 3);
+  recent.get("x");
+  recent.has("y"); // has() never reorders
+
+  expect([...recent.keys()]).toEqual(["y", "z", "x"]);
+  recent.set("y", 5);
+  expect(recent.first()).toEqual(["z", 3]);
+  expect(recent.last()).toEqual(["y", 5]);
+});
+
+test("Test case 3: Removing entries during iteration is safe", () => {
+  const map = new LinkedHashMap([
+    [1, 1],
+    [2, 2],
+    [3, 3],
+    [4, 4],
+  ]);
+  const seen = [];
+  for (const [key] of map) {
+    seen.push(key);
+    map.delete(key);
+    map.delete(key + 1);
+  }
+
+  expect(seen).toEqual([1, 3]);
+  expect(map.size).toBe(0);
+  expect(map.first()).toBeUndefined();
+});
+
+test("Test case 4: Order survives resizing", () => {
+  const map = new LinkedHashMap(64);
+  for (let i = 0; i < 10000; i++) map.set(i, i);
+  for (let i = 0; i < 10000; i += 2) map.delete(i);
+
+  const keys = [...map.keys()];
+  expect(keys.length).toBe(5000);
+  expect(keys.every((key, i) => key === 2 * i + 1)).toBe(true);
+
+  map.clear();
+  expect([...map]).toEqual([]);
+});
+
+test("Test case 5: Reading and moving entries during iteration is safe", () => {
+  const recent = new LinkedHashMap(
+    [
+      ["a", 1],
+      ["b", 2],
+      ["c", 3],
+    ],
+    { accessOrder: true }
+  );
+  const read = [];
+  for (const [key] of recent) {
+    read.push(key);
+    recent.get(key); // Moves the current entry to the end
+  }
+  expect(read).toEqual(["a", "b", "c"]);
+  expect([...recent.keys()]).toEqual(["a", "b", "c"]);
+
+  const map = new LinkedHashMap([1, 2, 3, 4, 5].map((n) => [n, n]));
+  const moved = [];
+  for (const [key] of map) {
+    moved.push(key);
+    map.moveToEnd(key);
+    if (key === 2) map.moveToEnd(4); // Moved before it is reached
+    if (key === 3) map.delete(5);
+  }
+  expect(moved).toEqual([1, 2, 3]);
+  expect([...map.keys()]).toEqual([1, 2, 4, 3]);
+});
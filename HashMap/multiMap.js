@@ -0,0 +1,221 @@
+/**
+ * MultiMap implementation backed by HashMap
+ *
+ * Features:
+ * - Each key maps to a list of values, kept in insertion order; the same
+ *   value may be added to a key more than once
+ * - Keys are hashed by HashMap, so custom hash/equals and storage strategies
+ *   apply; values are compared with SameValueZero, as in Array.includes
+ * - Iteration over keys, flattened values and [key, value] pairs, or over
+ *   [key, values] groups
+ *
+ * Time Complexity:
+ * - Average: O(1) for add, getAll (plus the copy), countValues, delete
+ * - O(k) for removeValue and hasEntry, where k is the number of values of
+ *   the key
+ */
+
+const { HashMap, isIterable, forEachEntry } = require("./hashMap.js");
+
+/**
+ * SameValueZero equality, as used by Array.includes: like ===, except that
+ * NaN equals NaN
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are the same
+ */
+function sameValueZero(a, b) {
+  return a === b || (a !== a && b !== b);
+}
+
+/**
+ * Map from keys to lists of values
+ */
+class MultiMap {
+  /**
+   * Creates a new MultiMap
+   * @param {Iterable<Array>} [entries] - Initial [key, value] pairs; repeated
+   *   keys collect their values
+   * @param {number|Object} [options] - HashMap options for the keys
+   * @example
+   * const tagged = new MultiMap([["js", "post1"], ["js", "post2"]]);
+   * tagged.getAll("js"); // ["post1", "post2"]
+   */
+  constructor(entries, options) {
+    if (!isIterable(entries)) {
+      options = entries;
+      entries = [];
+    }
+
+    this._map = new HashMap(options); // Key -> Array of values
+    this._valueCount = 0; // Total number of values across all keys
+
+    forEachEntry(entries, (key, value) => this.add(key, value));
+  }
+
+  /**
+   * Appends a value to the values of a key
+   * @param {*} key - The key
+   * @param {any} value - The value to add
+   * @returns {MultiMap} This map, for chaining
+   */
+  add(key, value) {
+    const values = this._map.get(key);
+    if (values === undefined) {
+      this._map.set(key, [value]);
+    } else {
+      values.push(value);
+    }
+    this._valueCount++;
+    return this;
+  }
+
+  /**
+   * Returns the values of a key
+   * @param {*} key - The key to look up
+   * @returns {Array<any>} Copy of the values, empty if the key is absent
+   */
+  getAll(key) {
+    const values = this._map.get(key);
+    return values === undefined ? [] : [...values];
+  }
+
+  /**
+   * Checks if a key has at least one value
+   * @param {*} key - The key to check
+   * @returns {boolean} True if key exists
+   */
+  has(key) {
+    return this._map.has(key);
+  }
+
+  /**
+   * Checks if a value is among the values of a key
+   * @param {*} key - The key to check
+   * @param {any} value - The value to look for
+   * @returns {boolean} True if the pair exists
+   */
+  hasEntry(key, value) {
+    const values = this._map.get(key);
+    return values !== undefined && values.includes(value);
+  }
+
+  /**
+   * Removes one occurrence of a value from a key
+   * The key is removed along with its last value
+   * @param {*} key - The key
+   * @param {any} value - The value to remove
+   * @returns {boolean} True if removed, false if the pair was not found
+   */
+  removeValue(key, value) {
+    const values = this._map.get(key);
+    if (values === undefined) return false;
+
+    const index = values.findIndex((v) => sameValueZero(v, value));
+    if (index === -1) return false;
+
+    values.splice(index, 1);
+    this._valueCount--;
+    if (values.length === 0) this._map.delete(key);
+    return true;
+  }
+
+  /**
+   * Removes a key with all of its values
+   * @param {*} key - The key to remove
+   * @returns {boolean} True if removed, false if key not found
+   */
+  delete(key) {
+    const values = this._map.get(key);
+    if (values === undefined) return false;
+
+    this._valueCount -= values.length;
+    return this._map.delete(key);
+  }
+
+  /**
+   * Counts values, for one key or for the whole map
+   * @param {*} [key] - The key whose values to count; omit for all keys
+   * @returns {number} Number of values
+   */
+  countValues(...args) {
+    if (args.length === 0) return this._valueCount;
+
+    const values = this._map.get(args[0]);
+    return values === undefined ? 0 : values.length;
+  }
+
+  /**
+   * Removes all keys and values
+   */
+  clear() {
+    this._map.clear();
+    this._valueCount = 0;
+  }
+
+  /**
+   * Number of distinct keys (see countValues() for the number of values)
+   * @type {number}
+   */
+  get size() {
+    return this._map.size;
+  }
+
+  /**
+   * Iterates over distinct keys, in HashMap key order
+   * @yields {*} Keys
+   */
+  *keys() {
+    yield* this._map.keys();
+  }
+
+  /**
+   * Iterates over every value of every key, grouped by key
+   * @yields {any} Values
+   */
+  *values() {
+    for (const values of this._map.values()) yield* values;
+  }
+
+  /**
+   * Iterates over every [key, value] pair, grouped by key
+   * @yields {Array} [key, value]
+   */
+  *entries() {
+    for (const [key, values] of this._map) {
+      for (const value of values) yield [key, value];
+    }
+  }
+
+  /**
+   * Iterates over [key, values] groups, each with a copy of the values
+   * @yields {Array} [key, Array of values]
+   */
+  *groups() {
+    for (const [key, values] of this._map) yield [key, [...values]];
+  }
+
+  /**
+   * Iterates over every [key, value] pair
+   * @returns {Iterator<Array>} Same as entries()
+   */
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Calls a callback for every [key, value] pair
+   * @param {Function} callback - Called with (value, key, map)
+   * @param {*} [thisArg] - Value to use as this when calling callback
+   */
+  forEach(callback, thisArg) {
+    if (typeof callback !== "function") {
+      throw new Error("forEach callback must be a function");
+    }
+    for (const [key, value] of this.entries()) {
+      callback.call(thisArg, value, key, this);
+    }
+  }
+}
+
+module.exports = { MultiMap };
@@ -0,0 +1,68 @@
+const { MultiMap } = require("./multiMap.js");
+
+test("Test case 1: MultiMap collects values per key", () => {
+  const tagged = new MultiMap([
+    ["js", "post1"],
+    ["js", "post2"],
+    ["go", "post3"],
+  ]);
+  tagged.add("js", "post1").add("rs", NaN);
+
+  expect(tagged.getAll("js")).toEqual(["post1", "post2", "post1"]);
+  expect(tagged.getAll("missing")).toEqual([]);
+  expect(tagged.size).toBe(3);
+  expect(tagged.countValues()).toBe(5);
+  expect(tagged.countValues("js")).toBe(3);
+  expect(tagged.countValues("missing")).toBe(0);
+
+  // getAll() returns a copy
+  tagged.getAll("go").push("post4");
+  expect(tagged.countValues("go")).toBe(1);
+});
+
+test("Test case 2: Removing values drops empty keys", () => {
+  const tagged = new MultiMap([
+    ["js", "post1"],
+    ["js", "post2"],
+    ["js", "post1"],
+    ["rs", NaN],
+  ]);
+
+  expect(tagged.removeValue("js", "post1")).toBe(true);
+  expect(tagged.hasEntry("js", "post1")).toBe(true);
+  expect(tagged.removeValue("js", "missing")).toBe(false);
+  expect(tagged.removeValue("rs", NaN)).toBe(true);
+  expect(tagged.has("rs")).toBe(false);
+  expect(new Map(tagged.groups())).toEqual(
+    new Map([["js", ["post2", "post1"]]])
+  );
+
+  expect(tagged.delete("js")).toBe(true);
+  expect(tagged.delete("js")).toBe(false);
+  expect(tagged.countValues()).toBe(0);
+});
+
+test("Test case 3: MultiMap iterates one entry per value", () => {
+  const tagged = new MultiMap([
+    ["a", 1],
+    ["a", 2],
+    ["b", 3],
+  ]);
+  const calls = [];
+  tagged.forEach((value, key, map) => calls.push([key, value, map]));
+
+  expect([...tagged]).toEqual([...tagged.entries()]);
+  expect([...tagged].length).toBe(3);
+  expect([...tagged.values()].sort()).toEqual([1, 2, 3]);
+  expect(calls.every(([, , map]) => map === tagged)).toBe(true);
+  expect(() => tagged.forEach(null)).toThrow(
+    "forEach callback must be a function"
+  );
+  expect(() => new MultiMap([1])).toThrow(
+    "Iterator value is not an entry object"
+  );
+
+  tagged.clear();
+  expect(tagged.size).toBe(0);
+  expect(tagged.countValues()).toBe(0);
+});
@@ -0,0 +1,420 @@
+/**
+ * @fileoverview A doubly linked list: every node also links to its previous
+ * node, so both ends and any node held by reference can be removed in O(1)
+ * @version 1.0.0
+ */
+
+/**
+ * Represents a node in the doubly linked list
+ * @class Node
+ */
+class Node {
+  /**
+   * Creates a new node with the given value
+   * @param {*} value - The value to store in the node
+   */
+  constructor(value) {
+    /** @type {*} The value stored in this node */
+    this.value = value;
+    /** @type {Node|null} Reference to the previous node in the list */
+    this.prev = null;
+    /** @type {Node|null} Reference to the next node in the list */
+    this.next = null;
+  }
+}
+
+/**
+ * A doubly linked list implementation with head and tail tracking
+ * Offers the same API as LinkedList, plus O(1) operations at both ends and
+ * around nodes held by reference. Methods that add a value return its node.
+ * @class DoublyLinkedList
+ * @example
+ * const list = new DoublyLinkedList();
+ * list.append(1);
+ * const two = list.append(2);
+ * list.insertBefore(1.5, two);
+ * list.remove(two);
+ * console.log(list.toString()); // "(1) <-> (1.5) <-> null"
+ */
+class DoublyLinkedList {
+  /**
+   * Creates an empty doubly linked list
+   */
+  constructor() {
+    /** @private @type {Node|null} Reference to the first node */
+    this._head = null;
+    /** @private @type {Node|null} Reference to the last node */
+    this._tail = null;
+    /** @private @type {number} Number of elements in the list */
+    this._size = 0;
+  }
+
+  /**
+   * Validates an index argument
+   * @private
+   * @param {number|string} index - The index to check (0-based)
+   * @param {number} max - The largest valid index
+   * @returns {number} The index as a number
+   * @throws {Error} If index is invalid or out of bounds
+   */
+  _checkIndex(index, max) {
+    // Convert to number and validate
+    index = Number(index);
+    if (isNaN(index) || index < 0) {
+      throw new Error("Index must be >= 0");
+    } else if (index > max) {
+      throw new Error("Index out of bound");
+    }
+    return index;
+  }
+
+  /**
+   * Checks that a node is currently linked into this list
+   * A node from another list cannot be told apart in O(1), so callers must
+   * only pass nodes of this list
+   * @private
+   * @param {Node} node - The node to check
+   * @throws {Error} If node is not a linked node
+   */
+  _checkNode(node) {
+    if (
+      !(node instanceof Node) ||
+      (node.prev === null && node !== this._head) ||
+      (node.next === null && node !== this._tail)
+    ) {
+      throw new Error("Node is not in this list");
+    }
+  }
+
+  /**
+   * Links a new node between two neighbours (either may be null at an end)
+   * Time complexity: O(1)
+   * @private
+   * @param {*} value - The value to insert
+   * @param {Node|null} prev - The node that will precede the new node
+   * @param {Node|null} next - The node that will follow the new node
+   * @returns {Node} The inserted node
+   */
+  _link(value, prev, next) {
+    const node = new Node(value);
+    node.prev = prev;
+    node.next = next;
+
+    if (prev === null) {
+      this._head = node;
+    } else {
+      prev.next = node;
+    }
+    if (next === null) {
+      this._tail = node;
+    } else {
+      next.prev = node;
+    }
+
+    this._size++;
+    return node;
+  }
+
+  /**
+   * Adds a new element to the end of the list
+   * Time complexity: O(1)
+   * @param {*} value - The value to append
+   * @returns {Node} The new node
+   * @example
+   * list.append(5);
+   * list.append("hello");
+   */
+  append(value) {
+    return this._link(value, this._tail, null);
+  }
+
+  /**
+   * Adds a new element to the beginning of the list
+   * Time complexity: O(1)
+   * @param {*} value - The value to prepend
+   * @returns {Node} The new node
+   * @example
+   * list.prepend(0);
+   */
+  prepend(value) {
+    return this._link(value, null, this._head);
+  }
+
+  /**
+   * Same as prepend(), named after Array.prototype.unshift
+   * Time complexity: O(1)
+   * @param {*} value - The value to add at the beginning
+   * @returns {Node} The new node
+   */
+  unshift(value) {
+    return this.prepend(value);
+  }
+
+  /**
+   * Gets the number of elements in the list
+   * Time complexity: O(1)
+   * @returns {number} The size of the list
+   */
+  get size() {
+    return this._size;
+  }
+
+  /**
+   * Gets the first node in the list
+   * Time complexity: O(1)
+   * @returns {Node|null} The head node or null if empty
+   */
+  get head() {
+    return this._head;
+  }
+
+  /**
+   * Gets the last node in the list
+   * Time complexity: O(1)
+   * @returns {Node|null} The tail node or null if empty
+   */
+  get tail() {
+    return this._tail;
+  }
+
+  /**
+   * Gets the node at the specified index
+   * Walks from whichever end is closer
+   * Time complexity: O(n)
+   * @param {number|string} index - The index to access (0-based)
+   * @returns {Node} The node at the specified index
+   * @throws {Error} If index is invalid or out of bounds
+   * @example
+   * const node = list.at(1);
+   * console.log(node.value);
+   */
+  at(index) {
+    index = this._checkIndex(index, this._size - 1);
+
+    if (index < this._size / 2) {
+      let curr = this._head;
+      for (let idx = 0; idx < index; idx++) curr = curr.next;
+      return curr;
+    }
+
+    let curr = this._tail;
+    for (let idx = this._size - 1; idx > index; idx--) curr = curr.prev;
+    return curr;
+  }
+
+  /**
+   * Removes a node from the list
+   * Time complexity: O(1)
+   * @param {Node} node - A node of this list
+   * @returns {Node} The removed node, unlinked from its neighbours
+   * @throws {Error} If node is not linked into a list
+   * @example
+   * const node = list.append("temporary");
+   * list.remove(node);
+   */
+  remove(node) {
+    this._checkNode(node);
+
+    if (node.prev === null) {
+      this._head = node.next;
+    } else {
+      node.prev.next = node.next;
+    }
+    if (node.next === null) {
+      this._tail = node.prev;
+    } else {
+      node.next.prev = node.prev;
+    }
+
+    this._size--;
+    node.prev = node.next = null; // Clean up removed node
+    return node;
+  }
+
+  /**
+   * Removes and returns the last element from the list
+   * Time complexity: O(1)
+   * @returns {Node|null} The removed node or null if list is empty
+   * @example
+   * const lastNode = list.pop();
+   * console.log(lastNode?.value);
+   */
+  pop() {
+    return this._tail === null ? null : this.remove(this._tail);
+  }
+
+  /**
+   * Removes and returns the first element from the list
+   * Time complexity: O(1)
+   * @returns {Node|null} The removed node or null if list is empty
+   * @example
+   * const firstNode = list.shift();
+   * console.log(firstNode?.value);
+   */
+  shift() {
+    return this._head === null ? null : this.remove(this._head);
+  }
+
+  /**
+   * Inserts a new element right before a node
+   * Time complexity: O(1)
+   * @param {*} value - The value to insert
+   * @param {Node} node - A node of this list
+   * @returns {Node} The new node
+   * @throws {Error} If node is not linked into a list
+   */
+  insertBefore(value, node) {
+    this._checkNode(node);
+    return this._link(value, node.prev, node);
+  }
+
+  /**
+   * Inserts a new element right after a node
+   * Time complexity: O(1)
+   * @param {*} value - The value to insert
+   * @param {Node} node - A node of this list
+   * @returns {Node} The new node
+   * @throws {Error} If node is not linked into a list
+   */
+  insertAfter(value, node) {
+    this._checkNode(node);
+    return this._link(value, node, node.next);
+  }
+
+  /**
+   * Checks if the list contains a specific value
+   * Time complexity: O(n)
+   * @param {*} value - The value to search for
+   * @returns {boolean} True if value is found, false otherwise
+   */
+  contains(value) {
+    return this.find(value) !== -1;
+  }
+
+  /**
+   * Finds the index of the first occurrence of a value
+   * Time complexity: O(n)
+   * @param {*} value - The value to search for
+   * @returns {number} The index of the value, or -1 if not found
+   */
+  find(value) {
+    let idx = 0;
+    let curr = this._head;
+    while (curr !== null) {
+      if (curr.value === value) return idx;
+      curr = curr.next;
+      idx++;
+    }
+    return -1;
+  }
+
+  /**
+   * Inserts a new element at the specified index
+   * Time complexity: O(n)
+   * @param {*} value - The value to insert
+   * @param {number|string} index - The index where to insert (0-based)
+   * @returns {Node} The new node
+   * @throws {Error} If index is invalid or out of bounds
+   * @example
+   * list.insertAt("new value", 2);
+   */
+  insertAt(value, index) {
+    index = this._checkIndex(index, this._size);
+
+    if (index === this._size) return this.append(value);
+    return this.insertBefore(value, this.at(index));
+  }
+
+  /**
+   * Removes and returns the element at the specified index
+   * Time complexity: O(n)
+   * @param {number|string} index - The index of the element to remove
+   * @returns {Node} The removed node
+   * @throws {Error} If index is invalid or out of bounds
+   * @example
+   * const removed = list.removeAt(1);
+   * console.log(removed.value);
+   */
+  removeAt(index) {
+    return this.remove(this.at(index));
+  }
+
+  /**
+   * Iterates over values from head to tail
+   * The next node is read before each value is yielded, so the current
+   * node may be removed during iteration
+   * Time complexity: O(n)
+   * @yields {*} Values in list order
+   * @example
+   * console.log([...list]); // [1, 2, 3]
+   */
+  *[Symbol.iterator]() {
+    let curr = this._head;
+    while (curr !== null) {
+      const next = curr.next;
+      yield curr.value;
+      curr = next;
+    }
+  }
+
+  /**
+   * Iterates over values from tail to head
+   * The previous node is read before each value is yielded, so the current
+   * node may be removed during iteration
+   * Time complexity: O(n)
+   * @yields {*} Values in reverse list order
+   * @example
+   * console.log([...list.reversed()]); // [3, 2, 1]
+   */
+  *reversed() {
+    let curr = this._tail;
+    while (curr !== null) {
+      const prev = curr.prev;
+      yield curr.value;
+      curr = prev;
+    }
+  }
+
+  /**
+   * Converts the list to a string representation
+   * Time complexity: O(n)
+   * @returns {string} String representation of the list
+   * @example
+   * console.log(list.toString()); // "(1) <-> (2) <-> (3) <-> null"
+   */
+  toString() {
+    const list = [];
+    let curr = this._head;
+
+    // Traverse and collect values
+    while (curr !== null) {
+      list.push(`(${curr.value})`);
+      curr = curr.next;
+    }
+
+    // Add null to represent end of list
+    list.push("null");
+    return list.join(" <-> ");
+  }
+}
+
+module.exports = { Node, DoublyLinkedList };
+
+// ========== USAGE EXAMPLES ==========
+
+if (require.main === module) {
+  const list = new DoublyLinkedList();
+  list.append(1);
+  const two = list.append(2);
+  list.prepend(0);
+
+  // Insert and remove around a node held by reference
+  list.insertAfter(2.5, two);
+  list.remove(two);
+  console.log(list.toString()); // (0) <-> (1) <-> (2.5) <-> null
+
+  // Use both ends as a deque
+  console.log(list.pop().value); // 2.5
+  console.log(list.shift().value); // 0
+  console.log([...list.reversed()]); // [1]
+}
@@ -0,0 +1,109 @@
+const { Node, DoublyLinkedList } = require("./doublyLinkedList.js");
+
+// Returns the values in order after checking every prev link, tail and size
+function checkLinks(list) {
+  const values = [];
+  let prev = null;
+  for (let node = list.head; node !== null; node = node.next) {
+    expect(node.prev).toBe(prev);
+    values.push(node.value);
+    prev = node;
+  }
+  expect(list.tail).toBe(prev);
+  expect(list.size).toBe(values.length);
+  expect([...list.reversed()]).toEqual(values.slice().reverse());
+  return values;
+}
+
+test("Test case 1: Both ends work as a deque", () => {
+  const list = new DoublyLinkedList();
+  expect(list.pop()).toBeNull();
+  expect(list.shift()).toBeNull();
+
+  for (let i = 0; i < 5; i++) list.append(i);
+  list.prepend(-1);
+  list.unshift(-2);
+  expect(checkLinks(list)).toEqual([-2, -1, 0, 1, 2, 3, 4]);
+
+  expect(list.pop().value).toBe(4);
+  expect(list.shift().value).toBe(-2);
+  expect(checkLinks(list)).toEqual([-1, 0, 1, 2, 3]);
+
+  while (list.size > 0) list.pop();
+  expect(list.head).toBeNull();
+  expect(list.tail).toBeNull();
+  expect(list.toString()).toBe("null");
+});
+
+test("Test case 2: Nodes held by reference are inserted around and removed in place", () => {
+  const list = new DoublyLinkedList();
+  list.append(1);
+  const two = list.append(2);
+  list.append(3);
+
+  list.insertBefore("b", two);
+  list.insertAfter("a", two);
+  expect(checkLinks(list)).toEqual([1, "b", 2, "a", 3]);
+
+  const removed = list.remove(two);
+  expect(removed.prev).toBeNull();
+  expect(removed.next).toBeNull();
+  expect(checkLinks(list)).toEqual([1, "b", "a", 3]);
+  expect(list.toString()).toBe("(1) <-> (b) <-> (a) <-> (3) <-> null");
+
+  expect(() => list.remove(two)).toThrow("Node is not in this list");
+  expect(() => list.insertAfter(0, new Node(0))).toThrow("not in this list");
+  expect(() => list.remove({})).toThrow("not in this list");
+});
+
+test("Test case 3: Index access walks from the closer end", () => {
+  const list = new DoublyLinkedList();
+  for (let i = 0; i < 10; i++) list.append(i);
+
+  for (let i = 0; i < 10; i++) expect(list.at(i).value).toBe(i);
+  expect(list.at("3").value).toBe(3);
+  expect(() => list.at(10)).toThrow("Index out of bound");
+  expect(() => list.at(-1)).toThrow("Index must be >= 0");
+
+  list.insertAt("start", 0);
+  list.insertAt("x", 4);
+  list.insertAt("end", list.size);
+  expect(list.removeAt(7).value).toBe(5);
+  expect(checkLinks(list)).toEqual([
+    "start",
+    0,
+    1,
+    2,
+    "x",
+    3,
+    4,
+    6,
+    7,
+    8,
+    9,
+    "end",
+  ]);
+  expect(list.find("x")).toBe(4);
+  expect(list.contains("missing")).toBe(false);
+});
+
+test("Test case 4: Iteration survives removing the current node", () => {
+  const list = new DoublyLinkedList();
+  const nodes = [1, 2, 3, 4].map((value) => list.append(value));
+
+  const forward = [];
+  for (const value of list) {
+    forward.push(value);
+    if (value % 2 === 0) list.remove(nodes[value - 1]);
+  }
+  expect(forward).toEqual([1, 2, 3, 4]);
+  expect(checkLinks(list)).toEqual([1, 3]);
+
+  const backward = [];
+  for (const value of list.reversed()) {
+    backward.push(value);
+    list.remove(value === 3 ? nodes[2] : nodes[0]);
+  }
+  expect(backward).toEqual([3, 1]);
+  expect(list.size).toBe(0);
+});
@@ -21,6 +21,66 @@ class Node {
   }
 }
 
+/**
+ * Default comparator using natural ordering (numbers, strings, dates)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function defaultCompare(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * Cuts a chain of nodes after its first n nodes
+ * Time complexity: O(n)
+ * @param {Node|null} node - First node of the chain
+ * @param {number} n - Number of nodes to keep (>= 1)
+ * @returns {Node|null} First node of the remainder, or null if none
+ */
+function splitAfter(node, n) {
+  for (let i = 1; node !== null && i < n; i++) node = node.next;
+  if (node === null) return null;
+
+  const rest = node.next;
+  node.next = null;
+  return rest;
+}
+
+/**
+ * Merges two sorted, null-terminated chains of nodes by relinking them
+ * On ties the node from the left chain comes first, which keeps the merge
+ * stable
+ * Time complexity: O(n + m)
+ * @param {Node|null} left - First chain
+ * @param {Node|null} right - Second chain
+ * @param {Function} compare - Comparator
+ * @returns {Array<Node|null>} [head, tail] of the merged chain
+ */
+function mergeChains(left, right, compare) {
+  const dummy = new Node(undefined);
+  let tail = dummy;
+
+  while (left !== null && right !== null) {
+    if (compare(right.value, left.value) < 0) {
+      tail.next = right;
+      right = right.next;
+    } else {
+      tail.next = left;
+      left = left.next;
+    }
+    tail = tail.next;
+  }
+
+  // Attach the rest of whichever chain is left and walk to its end
+  tail.next = left !== null ? left : right;
+  while (tail.next !== null) tail = tail.next;
+
+  return [dummy.next, tail === dummy ? null : tail];
+}
+
 /**
  * A singly linked list implementation with head and tail tracking
  * @class LinkedList
@@ -43,6 +103,105 @@ class LinkedList {
     this._size = 0;
   }
 
+  /**
+   * Creates a list from the values of an iterable
+   * Time complexity: O(n)
+   * @param {Iterable<*>} iterable - Values to append, in order
+   * @returns {LinkedList} The new list
+   * @throws {Error} If the argument is not iterable
+   * @example
+   * const list = LinkedList.from([1, 2, 3]);
+   * const letters = LinkedList.from("abc");
+   */
+  static from(iterable) {
+    if (iterable == null || typeof iterable[Symbol.iterator] !== "function") {
+      throw new Error("LinkedList.from expects an iterable");
+    }
+
+    const list = new LinkedList();
+    for (const value of iterable) list.append(value);
+    return list;
+  }
+
+  /**
+   * Merges two sorted lists into a new sorted list
+   * The input lists are left unchanged. The merge is stable: on ties,
+   * values from a come before values from b.
+   * Time complexity: O(n + m)
+   * @param {LinkedList} a - First list, sorted by compare
+   * @param {LinkedList} b - Second list, sorted by compare
+   * @param {Function} [compare] - Comparator, natural ordering by default
+   * @returns {LinkedList} The merged list
+   * @throws {Error} If compare is not a function
+   * @example
+   * const merged = LinkedList.mergeSorted(
+   *   LinkedList.from([1, 4]),
+   *   LinkedList.from([2, 3])
+   * );
+   * console.log(merged.toString()); // "(1) -> (2) -> (3) -> (4) -> null"
+   */
+  static mergeSorted(a, b, compare = defaultCompare) {
+    LinkedList._checkComparator(compare);
+
+    const merged = new LinkedList();
+    let left = a.head;
+    let right = b.head;
+    while (left !== null && right !== null) {
+      if (compare(right.value, left.value) < 0) {
+        merged.append(right.value);
+        right = right.next;
+      } else {
+        merged.append(left.value);
+        left = left.next;
+      }
+    }
+    for (let rest = left || right; rest !== null; rest = rest.next) {
+      merged.append(rest.value);
+    }
+    return merged;
+  }
+
+  /**
+   * Wraps an existing null-terminated chain of nodes in a new list
+   * @private
+   * @param {Node|null} head - First node of the chain
+   * @param {Node|null} tail - Last node of the chain
+   * @param {number} size - Number of nodes in the chain
+   * @returns {LinkedList} A list that owns the chain
+   */
+  static _fromChain(head, tail, size) {
+    const list = new LinkedList();
+    list._head = head;
+    list._tail = tail;
+    list._size = size;
+    return list;
+  }
+
+  /**
+   * Validates a comparator argument
+   * @private
+   * @param {Function} compare - The comparator to check
+   * @throws {Error} If compare is not a function
+   */
+  static _checkComparator(compare) {
+    if (typeof compare !== "function") {
+      throw new Error("Comparator must be a function");
+    }
+  }
+
+  /**
+   * Validates a callback argument
+   * @private
+   * @param {Function} callback - The callback to check
+   * @param {string} method - Name of the calling method, for the message
+   * @throws {Error} If callback is not a function
+   */
+  _checkCallback(callback, method) {
+    if (typeof callback !== "function") {
+      throw new Error(`${method} callback must be a function`);
+    }
+  }
+
   /**
    * Adds a new element to the end of the list
    * Time complexity: O(1)
@@ -337,6 +496,670 @@ class LinkedList {
     return nodeToRemove;
   }
 
+  /**
+   * Iterates over the values from head to tail, so the list works with
+   * for...of, spread and destructuring
+   * The next node is read before each value is yielded, so the current
+   * node may be removed during iteration
+   * Time complexity: O(n)
+   * @yields {*} Values in list order
+   * @example
+   * for (const value of list) console.log(value);
+   * const [first, second] = list;
+   */
+  *[Symbol.iterator]() {
+    let curr = this._head;
+    while (curr !== null) {
+      const next = curr.next;
+      yield curr.value;
+      curr = next;
+    }
+  }
+
+  /**
+   * Copies the values into an array
+   * Time complexity: O(n)
+   * @returns {Array<*>} Values in list order
+   * @example
+   * console.log(list.toArray()); // [1, 2, 3]
+   */
+  toArray() {
+    return [...this];
+  }
+
+  /**
+   * Calls a function for every value, as Array.prototype.forEach does
+   * Time complexity: O(n)
+   * @param {Function} callback - Called with (value, index, list)
+   * @param {*} [thisArg] - Value to use as this when calling callback
+   * @throws {Error} If callback is not a function
+   * @example
+   * list.forEach((value, index) => console.log(index, value));
+   */
+  forEach(callback, thisArg) {
+    this._checkCallback(callback, "forEach");
+
+    let idx = 0;
+    for (const value of this) {
+      callback.call(thisArg, value, idx++, this);
+    }
+  }
+
+  /**
+   * Creates a new list with the results of calling a function on every value
+   * Time complexity: O(n)
+   * @param {Function} callback - Called with (value, index, list); returns
+   *   the value for the new list
+   * @param {*} [thisArg] - Value to use as this when calling callback
+   * @returns {LinkedList} The new list
+   * @throws {Error} If callback is not a function
+   * @example
+   * const squares = list.map((value) => value * value);
+   */
+  map(callback, thisArg) {
+    this._checkCallback(callback, "map");
+
+    const result = new LinkedList();
+    let idx = 0;
+    for (const value of this) {
+      result.append(callback.call(thisArg, value, idx++, this));
+    }
+    return result;
+  }
+
+  /**
+   * Creates a new list with the values that pass a test
+   * Time complexity: O(n)
+   * @param {Function} predicate - Called with (value, index, list); truthy
+   *   results keep the value
+   * @param {*} [thisArg] - Value to use as this when calling predicate
+   * @returns {LinkedList} The new list
+   * @throws {Error} If predicate is not a function
+   * @example
+   * const evens = list.filter((value) => value % 2 === 0);
+   */
+  filter(predicate, thisArg) {
+    this._checkCallback(predicate, "filter");
+
+    const result = new LinkedList();
+    let idx = 0;
+    for (const value of this) {
+      if (predicate.call(thisArg, value, idx++, this)) result.append(value);
+    }
+    return result;
+  }
+
+  /**
+   * Reduces the list to a single value, as Array.prototype.reduce does
+   * Without an initial value, the head value is used and reduction starts
+   * from the second value
+   * Time complexity: O(n)
+   * @param {Function} callback - Called with (accumulator, value, index, list)
+   * @param {*} [initialValue] - Starting accumulator
+   * @returns {*} The final accumulator
+   * @throws {Error} If callback is not a function, or if the list is empty
+   *   and no initial value is given
+   * @example
+   * const sum = list.reduce((total, value) => total + value, 0);
+   */
+  reduce(callback, ...initialValue) {
+    this._checkCallback(callback, "reduce");
+
+    let idx = 0;
+    let curr = this._head;
+    let accumulator;
+    if (initialValue.length > 0) {
+      accumulator = initialValue[0];
+    } else if (curr === null) {
+      throw new Error("Reduce of empty list with no initial value");
+    } else {
+      accumulator = curr.value;
+      curr = curr.next;
+      idx++;
+    }
+
+    while (curr !== null) {
+      const next = curr.next;
+      accumulator = callback(accumulator, curr.value, idx++, this);
+      curr = next;
+    }
+    return accumulator;
+  }
+
+  /**
+   * Checks whether at least one value passes a test
+   * Stops at the first value that passes
+   * Time complexity: O(n)
+   * @param {Function} predicate - Called with (value, index, list)
+   * @param {*} [thisArg] - Value to use as this when calling predicate
+   * @returns {boolean} True if predicate returned a truthy value for any value
+   * @throws {Error} If predicate is not a function
+   * @example
+   * list.some((value) => value > 10);
+   */
+  some(predicate, thisArg) {
+    this._checkCallback(predicate, "some");
+    return this.findIndex(predicate, thisArg) !== -1;
+  }
+
+  /**
+   * Checks whether every value passes a test
+   * Stops at the first value that fails; true for an empty list
+   * Time complexity: O(n)
+   * @param {Function} predicate - Called with (value, index, list)
+   * @param {*} [thisArg] - Value to use as this when calling predicate
+   * @returns {boolean} True if predicate returned a truthy value for all values
+   * @throws {Error} If predicate is not a function
+   * @example
+   * list.every((value) => typeof value === "number");
+   */
+  every(predicate, thisArg) {
+    this._checkCallback(predicate, "every");
+
+    let idx = 0;
+    for (const value of this) {
+      if (!predicate.call(thisArg, value, idx++, this)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Finds the index of the first value that passes a test
+   * Time complexity: O(n)
+   * @param {Function} predicate - Called with (value, index, list)
+   * @param {*} [thisArg] - Value to use as this when calling predicate
+   * @returns {number} The index, or -1 if no value passes
+   * @throws {Error} If predicate is not a function
+   * @example
+   * const index = list.findIndex((user) => user.id === 42);
+   */
+  findIndex(predicate, thisArg) {
+    this._checkCallback(predicate, "findIndex");
+
+    let idx = 0;
+    for (const value of this) {
+      if (predicate.call(thisArg, value, idx, this)) return idx;
+      idx++;
+    }
+    return -1;
+  }
+
+  /**
+   * Finds the first node whose value passes a test
+   * Time complexity: O(n)
+   * @param {Function} predicate - Called with (value, index, list)
+   * @param {*} [thisArg] - Value to use as this when calling predicate
+   * @returns {Node|null} The node, or null if no value passes
+   * @throws {Error} If predicate is not a function
+   * @example
+   * const node = list.findNode((user) => user.id === 42);
+   * if (node) node.value.name = "Updated";
+   */
+  findNode(predicate, thisArg) {
+    this._checkCallback(predicate, "findNode");
+
+    let idx = 0;
+    let curr = this._head;
+    while (curr !== null) {
+      if (predicate.call(thisArg, curr.value, idx++, this)) return curr;
+      curr = curr.next;
+    }
+    return null;
+  }
+
+  /**
+   * Removes every value that passes a test, in a single pass
+   * Time complexity: O(n)
+   * @param {Function} predicate - Called with (value, index, list), where
+   *   index is the position in the list before any removal
+   * @param {*} [thisArg] - Value to use as this when calling predicate
+   * @returns {number} The number of values removed
+   * @throws {Error} If predicate is not a function
+   * @example
+   * const removedCount = list.removeWhere((value) => value === null);
+   */
+  removeWhere(predicate, thisArg) {
+    this._checkCallback(predicate, "removeWhere");
+
+    let removedCount = 0;
+    let idx = 0;
+    let prev = null;
+    let curr = this._head;
+    while (curr !== null) {
+      const next = curr.next;
+      if (predicate.call(thisArg, curr.value, idx++, this)) {
+        // Unlink curr, keeping head and tail up to date
+        if (prev === null) {
+          this._head = next;
+        } else {
+          prev.next = next;
+        }
+        if (curr === this._tail) this._tail = prev;
+        curr.next = null; // Clean up removed node
+        removedCount++;
+      } else {
+        prev = curr;
+      }
+      curr = next;
+    }
+
+    this._size -= removedCount;
+    return removedCount;
+  }
+
+  /**
+   * Sorts the list in place with a stable bottom-up merge sort
+   * Nodes are relinked rather than copied, so node references stay valid
+   * and keep their values
+   * Time complexity: O(n log n), with O(1) extra space
+   * @param {Function} [compare] - Comparator, natural ordering by default
+   * @returns {LinkedList} This list, for chaining
+   * @throws {Error} If compare is not a function
+   * @example
+   * list.sort();
+   * people.sort((a, b) => a.age - b.age); // Equal ages keep their order
+   */
+  sort(compare = defaultCompare) {
+    LinkedList._checkComparator(compare);
+    if (this._size < 2) return this;
+
+    let head = this._head;
+    let tail = this._tail;
+    // Merge neighbouring sorted runs of width 1, 2, 4, ... in one pass each
+    for (let width = 1; width < this._size; width *= 2) {
+      let curr = head;
+      head = tail = null;
+
+      while (curr !== null) {
+        const left = curr;
+        const right = splitAfter(left, width);
+        curr = splitAfter(right, width);
+
+        const [runHead, runTail] = mergeChains(left, right, compare);
+        if (tail === null) {
+          head = runHead;
+        } else {
+          tail.next = runHead;
+        }
+        tail = runTail;
+      }
+    }
+
+    this._head = head;
+    this._tail = tail;
+    return this;
+  }
+
+  /**
+   * Inserts a value into a sorted list, keeping it sorted
+   * The value goes after any equal values, as a stable sort would put it
+   * Time complexity: O(n), or O(1) when the value belongs at the end
+   * @param {*} value - The value to insert
+   * @param {Function} [compare] - Comparator the list is sorted by
+   * @returns {number} The index at which the value was inserted
+   * @throws {Error} If compare is not a function
+   * @example
+   * const list = LinkedList.from([1, 3]);
+   * list.insertSorted(2); // 1
+   */
+  insertSorted(value, compare = defaultCompare) {
+    LinkedList._checkComparator(compare);
+
+    // Fast path: the value belongs after the tail
+    if (this._tail === null || compare(this._tail.value, value) <= 0) {
+      this.append(value);
+      return this._size - 1;
+    }
+    if (compare(value, this._head.value) < 0) {
+      this.prepend(value);
+      return 0;
+    }
+
+    // Find the last node whose value is <= value
+    let idx = 1;
+    let curr = this._head;
+    while (compare(curr.next.value, value) <= 0) {
+      curr = curr.next;
+      idx++;
+    }
+
+    const newNode = new Node(value);
+    newNode.next = curr.next;
+    curr.next = newNode;
+    this._size++;
+    return idx;
+  }
+
+  /**
+   * Checks whether the list is sorted
+   * Time complexity: O(n)
+   * @param {Function} [compare] - Comparator, natural ordering by default
+   * @returns {boolean} True if no value is smaller than the one before it
+   * @throws {Error} If compare is not a function
+   * @example
+   * LinkedList.from([1, 2, 2]).isSorted(); // true
+   */
+  isSorted(compare = defaultCompare) {
+    LinkedList._checkComparator(compare);
+
+    let curr = this._head;
+    while (curr !== null && curr.next !== null) {
+      if (compare(curr.value, curr.next.value) > 0) return false;
+      curr = curr.next;
+    }
+    return true;
+  }
+
+  /**
+   * Converts a relative index to a position in [0, size], as Array methods do
+   * Negative values count back from the end; out of range values are clamped
+   * @private
+   * @param {number|string} index - The relative index
+   * @returns {number} The absolute position
+   */
+  _clampIndex(index) {
+    index = Math.trunc(Number(index)) || 0;
+    if (index < 0) return Math.max(this._size + index, 0);
+    return Math.min(index, this._size);
+  }
+
+  /**
+   * Reverses the list in place by relinking its nodes
+   * Time complexity: O(n)
+   * @returns {LinkedList} This list, for chaining
+   * @example
+   * LinkedList.from([1, 2, 3]).reverse().toString(); // "(3) -> (2) -> (1) -> null"
+   */
+  reverse() {
+    let prev = null;
+    let curr = this._head;
+    while (curr !== null) {
+      const next = curr.next;
+      curr.next = prev;
+      prev = curr;
+      curr = next;
+    }
+
+    this._tail = this._head;
+    this._head = prev;
+    return this;
+  }
+
+  /**
+   * Removes and/or inserts values at a position, as Array.prototype.splice
+   * does
+   * The removed nodes are moved into the returned list, not copied
+   * Time complexity: O(start + deleteCount + items.length)
+   * @param {number|string} start - Position to start at; negative counts back
+   *   from the end
+   * @param {number} [deleteCount] - Number of values to remove; all values
+   *   from start on if omitted (none if start is omitted too)
+   * @param {...*} items - Values to insert at start
+   * @returns {LinkedList} A list of the removed values
+   * @example
+   * const list = LinkedList.from([1, 2, 3, 4]);
+   * list.splice(1, 2, "a"); // (2) -> (3) -> null
+   * console.log(list.toString()); // "(1) -> (a) -> (4) -> null"
+   */
+  splice(start, deleteCount, ...items) {
+    start = this._clampIndex(start);
+    const maxCount = this._size - start;
+    if (arguments.length === 0) {
+      deleteCount = 0;
+    } else if (arguments.length === 1) {
+      deleteCount = maxCount;
+    } else {
+      deleteCount = Math.trunc(Number(deleteCount)) || 0;
+      deleteCount = Math.min(Math.max(deleteCount, 0), maxCount);
+    }
+
+    // Node before the affected range, or null when starting at the head
+    const before = start === 0 ? null : this.at(start - 1);
+    let after = before === null ? this._head : before.next;
+
+    // Detach the removed range
+    let removed = new LinkedList();
+    if (deleteCount > 0) {
+      const first = after;
+      let last = first;
+      for (let i = 1; i < deleteCount; i++) last = last.next;
+      after = last.next;
+      last.next = null;
+      removed = LinkedList._fromChain(first, last, deleteCount);
+    }
+
+    // Link the inserted values (or nothing) in place of the removed range
+    const inserted = LinkedList.from(items);
+    let joinEnd = before;
+    if (inserted._head !== null) {
+      if (before === null) {
+        this._head = inserted._head;
+      } else {
+        before.next = inserted._head;
+      }
+      joinEnd = inserted._tail;
+    }
+    if (joinEnd === null) {
+      this._head = after;
+    } else {
+      joinEnd.next = after;
+    }
+    if (after === null) this._tail = joinEnd;
+
+    this._size += inserted._size - deleteCount;
+    return removed;
+  }
+
+  /**
+   * Copies a range of values into a new list, as Array.prototype.slice does
+   * Time complexity: O(end)
+   * @param {number|string} [start=0] - First position; negative counts back
+   *   from the end
+   * @param {number|string} [end=size] - Position to stop before; negative
+   *   counts back from the end
+   * @returns {LinkedList} A new list with the values in [start, end)
+   * @example
+   * LinkedList.from([1, 2, 3, 4]).slice(1, -1).toString(); // "(2) -> (3) -> null"
+   */
+  slice(start = 0, end = this._size) {
+    start = this._clampIndex(start);
+    end = this._clampIndex(end);
+
+    const result = new LinkedList();
+    let idx = 0;
+    let curr = this._head;
+    while (curr !== null && idx < end) {
+      if (idx >= start) result.append(curr.value);
+      curr = curr.next;
+      idx++;
+    }
+    return result;
+  }
+
+  /**
+   * Moves all nodes of other lists onto the end of this list
+   * Each list is spliced on in O(1) and left empty, so nodes are never
+   * shared between lists
+   * Time complexity: O(k) for k lists
+   * @param {...LinkedList} lists - Lists to append, in order
+   * @returns {LinkedList} This list, for chaining
+   * @throws {Error} If an argument is not a LinkedList, or is this list
+   * @example
+   * const list = LinkedList.from([1]);
+   * list.concat(LinkedList.from([2]), LinkedList.from([3, 4]));
+   * console.log(list.size); // 4
+   */
+  concat(...lists) {
+    for (const other of lists) {
+      if (!(other instanceof LinkedList)) {
+        throw new Error("concat expects LinkedList arguments");
+      } else if (other === this) {
+        throw new Error("Cannot concat a list onto itself");
+      }
+    }
+
+    for (const other of lists) {
+      if (other._head === null) continue;
+
+      if (this._tail === null) {
+        this._head = other._head;
+      } else {
+        this._tail.next = other._head;
+      }
+      this._tail = other._tail;
+      this._size += other._size;
+
+      other._head = other._tail = null;
+      other._size = 0;
+    }
+    return this;
+  }
+
+  /**
+   * Splits the list in two at an index
+   * This list keeps the values before index; the rest are moved to the
+   * returned list
+   * Time complexity: O(index)
+   * @param {number|string} index - Index of the first value to move (0-based)
+   * @returns {LinkedList} A list of the values from index on
+   * @throws {Error} If index is invalid or out of bounds
+   * @example
+   * const list = LinkedList.from([1, 2, 3]);
+   * const rest = list.splitAt(1);
+   * console.log(list.toString(), rest.toString()); // "(1) -> null" "(2) -> (3) -> null"
+   */
+  splitAt(index) {
+    // Convert to number and validate
+    index = Number(index);
+    if (!Number.isInteger(index) || index < 0) {
+      throw new Error("Index must be an integer >= 0");
+    } else if (index > this._size) {
+      throw new Error("Index out of bound");
+    }
+
+    if (index === this._size) return new LinkedList();
+    if (index === 0) {
+      const rest = LinkedList._fromChain(this._head, this._tail, this._size);
+      this._head = this._tail = null;
+      this._size = 0;
+      return rest;
+    }
+
+    const last = this.at(index - 1);
+    const rest = LinkedList._fromChain(
+      last.next,
+      this._tail,
+      this._size - index
+    );
+    last.next = null;
+    this._tail = last;
+    this._size = index;
+    return rest;
+  }
+
+  /**
+   * Removes repeated values, keeping the first occurrence of each
+   * Values are compared as by Set (SameValueZero)
+   * Time complexity: O(n)
+   * @returns {number} The number of values removed
+   * @example
+   * const list = LinkedList.from([1, 2, 1, 3, 2]);
+   * list.removeDuplicates(); // 2
+   * console.log(list.toString()); // "(1) -> (2) -> (3) -> null"
+   */
+  removeDuplicates() {
+    const seen = new Set();
+    return this.removeWhere((value) => {
+      if (seen.has(value)) return true;
+      seen.add(value);
+      return false;
+    });
+  }
+
+  /**
+   * Gets the node k positions before the tail
+   * Time complexity: O(n)
+   * @param {number|string} k - Distance from the end (0 is the tail)
+   * @returns {Node} The node at index size - 1 - k
+   * @throws {Error} If k is invalid or out of bounds
+   * @example
+   * LinkedList.from([1, 2, 3]).nthFromEnd(1).value; // 2
+   */
+  nthFromEnd(k) {
+    // Convert to number and validate
+    k = Number(k);
+    if (!Number.isInteger(k) || k < 0) {
+      throw new Error("Index must be an integer >= 0");
+    } else if (k >= this._size) {
+      throw new Error("Index out of bound");
+    }
+
+    return this.at(this._size - 1 - k);
+  }
+
+  /**
+   * Gets the middle node, found with a slow and a fast pointer
+   * For an even number of nodes, this is the second of the two middle nodes
+   * Time complexity: O(n)
+   * @returns {Node|null} The middle node, or null if the list is empty
+   * @example
+   * LinkedList.from([1, 2, 3, 4]).middle().value; // 3
+   */
+  middle() {
+    let slow = this._head;
+    let fast = this._head;
+    while (fast !== null && fast.next !== null) {
+      slow = slow.next;
+      fast = fast.next.next;
+    }
+    return slow;
+  }
+
+  /**
+   * Checks whether following next links from the head ever loops back
+   * A well-formed list never has a cycle, but the nodes exposed through
+   * head, tail and at() can be relinked by hand; this detects the damage
+   * with Floyd's tortoise-and-hare algorithm
+   * Time complexity: O(n), with O(1) extra space
+   * @returns {boolean} True if the chain of nodes contains a cycle
+   * @example
+   * list.tail.next = list.head; // Corrupt the list
+   * console.log(list.hasCycle()); // true
+   */
+  hasCycle() {
+    return this.findCycleStart() !== null;
+  }
+
+  /**
+   * Finds the node where a cycle in the chain of next links begins
+   * Uses Floyd's algorithm: once the slow and fast pointers meet inside the
+   * cycle, a pointer from the head and one from the meeting point reach the
+   * cycle start after the same number of steps
+   * Time complexity: O(n), with O(1) extra space
+   * @returns {Node|null} The first node of the cycle, or null if none
+   * @example
+   * list.tail.next = list.at(1); // Corrupt the list
+   * console.log(list.findCycleStart() === list.at(1)); // true
+   */
+  findCycleStart() {
+    let slow = this._head;
+    let fast = this._head;
+    while (fast !== null && fast.next !== null) {
+      slow = slow.next;
+      fast = fast.next.next;
+
+      if (slow === fast) {
+        slow = this._head;
+        while (slow !== fast) {
+          slow = slow.next;
+          fast = fast.next;
+        }
+        return slow;
+      }
+    }
+    return null;
+  }
+
   /**
    * Converts the list to a string representation
    * Time complexity: O(n)
@@ -359,22 +1182,28 @@ class LinkedList {
     return list.join(" -> ");
   }
 }
+module.exports = { Node, LinkedList };
+
 // ========== USAGE EXAMPLES ==========
 
-// Basic usage
-const list = new LinkedList();
-list.append(1);
-list.append(2);
-list.prepend(0);
+if (require.main === module) {
+  // Basic usage
+  const list = new LinkedList();
+  list.append(1);
+  list.append(2);
+  list.prepend(0);
 
-// Access elements
-console.log(list.at(1).value); // 1
-console.log(list.contains(2)); // true
+  // Access elements
+  console.log(list.at(1).value); // 1
+  console.log(list.contains(2)); // true
 
-// Modify list
-list.insertAt(3, 2);
-console.log(list.toString());
-const removed = list.removeAt(0);
+  // Modify list
+  list.insertAt(3, 2);
+  console.log(list.toString());
+  list.removeAt(0);
 
-// ========== EXPORTS ==========
-// export { Node, LinkedList };
+  // Iterate and transform
+  console.log([...list]); // [1, 3, 2]
+  const doubled = list.map((value) => value * 2).filter((value) => value > 2);
+  console.log(doubled.toString()); // "(6) -> (4) -> null"
+}
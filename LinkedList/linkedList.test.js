@@ -0,0 +1,243 @@
+const { LinkedList } = require("./linkedList.js");
+
+// Returns the values in order after checking tail and size
+function checkLinks(list) {
+  const values = [];
+  let last = null;
+  for (let node = list.head; node !== null; node = node.next) {
+    values.push(node.value);
+    last = node;
+  }
+  expect(list.tail).toBe(last);
+  expect(list.size).toBe(values.length);
+  return values;
+}
+
+test("Test case 1: LinkedList is iterable and built from iterables", () => {
+  const list = LinkedList.from([1, 2, 3]);
+  const [first, second] = list;
+
+  expect(first + second).toBe(3);
+  expect([...list]).toEqual([1, 2, 3]);
+  expect(list.toArray()).toEqual([1, 2, 3]);
+  expect(LinkedList.from("ab").toArray()).toEqual(["a", "b"]);
+  expect(LinkedList.from(new Set([1])).toArray()).toEqual([1]);
+  expect(() => LinkedList.from(5)).toThrow(
+    "LinkedList.from expects an iterable"
+  );
+  expect(() => LinkedList.from(null)).toThrow("expects an iterable");
+});
+
+test("Test case 2: Functional methods follow the Array signatures", () => {
+  const list = LinkedList.from([1, 2, 3, 4, 5]);
+  const calls = [];
+  list.forEach(
+    function (value, index, owner) {
+      calls.push([value, index, owner === list, this.tag]);
+    },
+    { tag: "this" }
+  );
+  expect(calls[4]).toEqual([5, 4, true, "this"]);
+
+  const mapped = list.map((value, index) => value * 10 + index);
+  expect(mapped).toBeInstanceOf(LinkedList);
+  expect(checkLinks(mapped)).toEqual([10, 21, 32, 43, 54]);
+  expect(checkLinks(list.filter((value) => value % 2))).toEqual([1, 3, 5]);
+  expect(list.filter(() => false).size).toBe(0);
+
+  expect(list.reduce((sum, value) => sum + value)).toBe(15);
+  expect(list.reduce((sum, value, index) => sum + index, 100)).toBe(110);
+  expect(new LinkedList().reduce((sum) => sum, undefined)).toBeUndefined();
+  expect(() => new LinkedList().reduce((sum) => sum)).toThrow(
+    "Reduce of empty list with no initial value"
+  );
+
+  expect(list.some((value) => value > 4)).toBe(true);
+  expect(list.every((value) => value < 5)).toBe(false);
+  expect(new LinkedList().every(() => false)).toBe(true);
+  expect(list.findIndex((value) => value === 3)).toBe(2);
+  expect(list.findIndex(() => false)).toBe(-1);
+  expect(list.findNode((value) => value === 3)).toBe(list.at(2));
+  expect(list.findNode(() => false)).toBeNull();
+  expect(() => list.map()).toThrow("map callback must be a function");
+});
+
+test("Test case 3: removeWhere() unlinks matches and keeps the tail", () => {
+  const list = LinkedList.from([1, 2, 3, 4, 5, 6]);
+
+  expect(list.removeWhere((value) => value % 2 === 0)).toBe(3);
+  expect(checkLinks(list)).toEqual([1, 3, 5]);
+  expect(list.removeWhere((value) => value === 1)).toBe(1);
+  list.append(7);
+  expect(checkLinks(list)).toEqual([3, 5, 7]);
+
+  expect(list.removeWhere(() => true)).toBe(3);
+  expect(checkLinks(list)).toEqual([]);
+  list.append(1);
+  expect(checkLinks(list)).toEqual([1]);
+});
+
+test("Test case 4: sort() is a stable in-place merge sort", () => {
+  let seed = 7;
+  const random = () =>
+    (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+  const byKey = (a, b) => a.key - b.key;
+
+  for (let n = 0; n < 70; n++) {
+    const values = Array.from({ length: n }, (_, i) => ({
+      key: Math.floor(random() * 5),
+      i,
+    }));
+    const list = LinkedList.from(values);
+    const nodes = new Set();
+    for (let node = list.head; node !== null; node = node.next) nodes.add(node);
+
+    expect(list.sort(byKey)).toBe(list);
+    // Array.prototype.sort is stable too
+    expect(checkLinks(list)).toEqual(values.slice().sort(byKey));
+    expect(list.isSorted(byKey)).toBe(true);
+    for (let node = list.head; node !== null; node = node.next) {
+      expect(nodes.has(node)).toBe(true); // Relinked, not copied
+    }
+  }
+
+  expect(LinkedList.from(["b", "a", "c"]).sort().toArray()).toEqual([
+    "a",
+    "b",
+    "c",
+  ]);
+  expect(LinkedList.from([2, 1]).isSorted()).toBe(false);
+  expect(new LinkedList().isSorted()).toBe(true);
+  expect(() => new LinkedList().sort(5)).toThrow(
+    "Comparator must be a function"
+  );
+});
+
+test("Test case 5: mergeSorted() and insertSorted() keep ties stable", () => {
+  const byKey = (a, b) => a.key - b.key;
+  const a = LinkedList.from([
+    { key: 1, from: "a" },
+    { key: 3, from: "a" },
+  ]);
+  const b = LinkedList.from([
+    { key: 1, from: "b" },
+    { key: 2, from: "b" },
+    { key: 4, from: "b" },
+  ]);
+  const merged = LinkedList.mergeSorted(a, b, byKey);
+
+  expect(checkLinks(merged).map((v) => v.key + v.from)).toEqual([
+    "1a",
+    "1b",
+    "2b",
+    "3a",
+    "4b",
+  ]);
+  expect(checkLinks(a).length).toBe(2); // Inputs are left unchanged
+  expect(checkLinks(b).length).toBe(3);
+  expect(LinkedList.mergeSorted(new LinkedList(), new LinkedList()).size).toBe(
+    0
+  );
+
+  const sorted = new LinkedList();
+  expect([5, 1, 3, 9, 3].map((value) => sorted.insertSorted(value))).toEqual([
+    0, 0, 1, 3, 2,
+  ]);
+  expect(checkLinks(sorted)).toEqual([1, 3, 3, 5, 9]);
+
+  const ties = LinkedList.from([
+    { key: 1, order: 0 },
+    { key: 2, order: 0 },
+  ]);
+  ties.insertSorted({ key: 1, order: 1 }, byKey);
+  expect(ties.toArray().map((v) => v.order)).toEqual([0, 1, 0]);
+});
+
+test("Test case 6: splice(), slice() and reverse() match Array", () => {
+  let seed = 3;
+  const randomInt = (n) =>
+    Math.floor(
+      ((seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648) * n
+    );
+
+  for (let t = 0; t < 1000; t++) {
+    const values = Array.from({ length: randomInt(8) }, (_, i) => i);
+    const start = randomInt(20) - 10;
+    const items = Array.from({ length: randomInt(3) }, (_, i) => `x${i}`);
+    const args =
+      randomInt(3) === 0 ? [start] : [start, randomInt(12) - 2, ...items];
+
+    const list = LinkedList.from(values);
+    const expected = values.slice();
+    const expectedRemoved = expected.splice(...args);
+    expect(checkLinks(list.splice(...args))).toEqual(expectedRemoved);
+    expect(checkLinks(list)).toEqual(expected);
+
+    const [from, to] = [randomInt(20) - 10, randomInt(20) - 10];
+    const source = LinkedList.from(values);
+    expect(checkLinks(source.slice(from, to))).toEqual(values.slice(from, to));
+    expect(checkLinks(source.slice(from))).toEqual(values.slice(from));
+    expect(checkLinks(source.reverse())).toEqual(values.slice().reverse());
+  }
+
+  // Like Array, splice() with no arguments removes nothing
+  const untouched = LinkedList.from([1, 2, 3]);
+  expect(checkLinks(untouched.splice())).toEqual([1, 2, 3].splice());
+  expect(checkLinks(untouched)).toEqual([1, 2, 3]);
+});
+
+test("Test case 7: splitAt() and concat() move nodes between lists", () => {
+  const values = [0, 1, 2, 3, 4];
+  for (let k = 0; k <= values.length; k++) {
+    const left = LinkedList.from(values);
+    const right = left.splitAt(k);
+    expect(checkLinks(left)).toEqual(values.slice(0, k));
+    expect(checkLinks(right)).toEqual(values.slice(k));
+  }
+  expect(() => LinkedList.from([1]).splitAt(2)).toThrow("Index out of bound");
+  for (const index of [1.5, "0.5", NaN, -1]) {
+    expect(() => LinkedList.from([1, 2]).splitAt(index)).toThrow(
+      "Index must be an integer >= 0"
+    );
+  }
+
+  const a = LinkedList.from([1]);
+  const b = LinkedList.from([2, 3]);
+  expect(a.concat(b, new LinkedList(), LinkedList.from([4]))).toBe(a);
+  expect(checkLinks(a)).toEqual([1, 2, 3, 4]);
+  expect(checkLinks(b)).toEqual([]); // Emptied, and still usable
+  b.append(9);
+  expect(checkLinks(b)).toEqual([9]);
+  expect(checkLinks(a)).toEqual([1, 2, 3, 4]);
+  expect(() => a.concat(a)).toThrow("Cannot concat a list onto itself");
+  expect(() => a.concat([1])).toThrow("concat expects LinkedList arguments");
+});
+
+test("Test case 8: Pointer-based helpers find nodes and cycles", () => {
+  const duplicates = LinkedList.from([1, NaN, 2, 1, NaN, 3, 2, 2]);
+  expect(duplicates.removeDuplicates()).toBe(4);
+  expect(checkLinks(duplicates)).toEqual([1, NaN, 2, 3]);
+
+  expect(LinkedList.from([1, 2, 3, 4]).middle().value).toBe(3);
+  expect(LinkedList.from([1, 2, 3]).middle().value).toBe(2);
+  expect(new LinkedList().middle()).toBeNull();
+  expect(LinkedList.from([1, 2, 3]).nthFromEnd(0).value).toBe(3);
+  expect(LinkedList.from([1, 2, 3]).nthFromEnd(2).value).toBe(1);
+  expect(() => LinkedList.from([1]).nthFromEnd(1)).toThrow(
+    "Index out of bound"
+  );
+  expect(() => LinkedList.from([1, 2, 3]).nthFromEnd(1.5)).toThrow(
+    "Index must be an integer >= 0"
+  );
+
+  for (let n = 0; n < 6; n++) {
+    const list = LinkedList.from(Array.from({ length: n }, (_, i) => i));
+    expect(list.hasCycle()).toBe(false);
+    expect(list.findCycleStart()).toBeNull();
+    for (let j = 0; j < n; j++) {
+      list.tail.next = list.at(j); // Corrupt the chain by hand
+      expect(list.hasCycle()).toBe(true);
+      expect(list.findCycleStart()).toBe(list.at(j));
+    }
+  }
+});